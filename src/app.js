@@ -28,6 +28,12 @@ class AccessibleGuitarTabsApp {
     this.currentTab = null;
     this.settingsElements = {};
     this.isConverting = false;
+    // Output line → input line/column entries for the pasted tab last
+    // converted (empty for Guitar Pro tracks and loaded tabs).
+    this.sourceMap = [];
+    // Part of a multi-instrument pasted tab to convert (index into the
+    // parts the converter found).
+    this.partIndex = 0;
 
     // Guitar Pro import state. The importer module (and alphaTab with it)
     // is only dynamically imported once a file is actually opened.
@@ -98,11 +104,16 @@ class AccessibleGuitarTabsApp {
     this.convertBtn = document.getElementById('convert-btn');
     this.copyBtn = document.getElementById('copy-btn');
     this.saveBtn = document.getElementById('save-btn');
+    this.partPicker = document.getElementById('part-picker');
+    this.partSelect = document.getElementById('part-select');
+    this.diagnosticsPanel = document.getElementById('diagnostics');
+    this.diagnosticsList = document.getElementById('diagnostics-list');
 
     // Guitar Pro import elements
     this.gpFileInput = document.getElementById('gp-file-input');
     this.gpTrackPicker = document.getElementById('gp-track-picker');
     this.gpTrackSelect = document.getElementById('gp-track-select');
+    this.chordProFileInput = document.getElementById('chordpro-file-input');
 
     // Get settings elements
     this.settingsElements = {
@@ -110,7 +121,15 @@ class AccessibleGuitarTabsApp {
       verboseMode: document.getElementById('verbose-mode'),
       useStringNames: document.getElementById('string-names'),
       includeTechniqueDetails: document.getElementById('technique-details'),
-      includeDurations: document.getElementById('include-durations')
+      includeDurations: document.getElementById('include-durations'),
+      includeNoteNames: document.getElementById('include-note-names'),
+      estimateRhythm: document.getElementById('estimate-rhythm'),
+      identifyChords: document.getElementById('identify-chords'),
+      collapseRepeats: document.getElementById('collapse-repeats'),
+      identifyRiffs: document.getElementById('identify-riffs'),
+      instrument: document.getElementById('instrument-select'),
+      transpose: document.getElementById('transpose-select'),
+      capo: document.getElementById('capo-select')
     };
     
     // Bind events
@@ -145,6 +164,10 @@ class AccessibleGuitarTabsApp {
     if (this.gpFileInput) {
       this.gpFileInput.addEventListener('change', () => this.onGpFileChosen());
     }
+    // ChordPro files are text: they go through the paste box.
+    if (this.chordProFileInput) {
+      this.chordProFileInput.addEventListener('change', () => this.onChordProFileChosen());
+    }
     if (this.gpTrackSelect) {
       // Touching the track list makes the Guitar Pro file the active
       // source again; Enter on it converts without leaving the list.
@@ -160,12 +183,29 @@ class AccessibleGuitarTabsApp {
       });
     }
 
+    // Choosing a part of a band tab re-converts the pasted text at once,
+    // leaving focus on the list.
+    if (this.partSelect) {
+      this.partSelect.addEventListener('change', () => {
+        this.partIndex = Number(this.partSelect.value);
+        const option = this.partSelect.options[this.partSelect.selectedIndex];
+        this.convertTab({
+          moveFocus: false,
+          updatedMessage: `Output updated: ${option ? option.textContent : 'part'}.`
+        });
+      });
+    }
+
     // Typing in the paste box makes it the active source and controls
-    // whether the Convert button is available in text mode.
+    // whether the Convert button is available in text mode. New text
+    // starts again from its first part, and the old output's source map
+    // no longer points into it.
     this.tabInput.addEventListener('input', debounce(() => {
       if (this.tabInput.value.trim().length > 0) {
         this.activeSource = 'text';
       }
+      this.partIndex = 0;
+      this.sourceMap = [];
       this.updateConvertControls();
     }, 100));
 
@@ -289,6 +329,56 @@ class AccessibleGuitarTabsApp {
     }
   }
 
+  /**
+   * Handle a chosen ChordPro file: put its text in the paste box, where it
+   * can be edited and saved like a pasted tab, and convert it.
+   */
+  async onChordProFileChosen() {
+    const file = this.chordProFileInput.files && this.chordProFileInput.files[0];
+    if (!file) return;
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error('ChordPro load error:', error);
+      notificationManager.error('Could not read the file. Please try again.');
+      return;
+    } finally {
+      this.chordProFileInput.value = '';
+    }
+
+    // A new file starts a new document, as a Guitar Pro import does.
+    this.tabInput.value = text;
+    this.currentTab = null;
+    this.activeSource = 'text';
+    this.partIndex = 0;
+    this.updateConvertControls();
+    notificationManager.announce(`Loaded ${file.name}. Converting...`);
+    await this.convertTab();
+  }
+
+  /**
+   * Fill and reveal the part picker when a pasted tab has blocks for more
+   * than one instrument; hide it otherwise.
+   * @param {Array<{index: number, name: string, stringCount: number}>} parts
+   *   Parts found in the tab
+   * @param {number} selected - Index of the part that was converted
+   */
+  populatePartPicker(parts, selected) {
+    if (!this.partPicker || !this.partSelect) return;
+
+    this.partSelect.innerHTML = '';
+    for (const part of parts) {
+      const option = document.createElement('option');
+      option.value = String(part.index);
+      option.textContent = `${part.name} (${part.stringCount} strings)`;
+      this.partSelect.appendChild(option);
+    }
+    this.partSelect.value = String(selected);
+    this.partPicker.hidden = parts.length < 2;
+  }
+
   /**
    * Fill and reveal the track picker for a multi-track file.
    * @param {Array<{index: number, name: string, stringCount: number}>} tracks
@@ -336,6 +426,9 @@ class AccessibleGuitarTabsApp {
       const converted = this.converter.formatTabData(tabData, settings);
 
       this.tabOutput.value = converted;
+      this.sourceMap = [];
+      this.populatePartPicker([], 0);
+      this.renderDiagnostics([]);
       this.copyBtn.disabled = false;
       if (this.saveBtn) {
         this.saveBtn.disabled = false;
@@ -371,12 +464,18 @@ class AccessibleGuitarTabsApp {
    * @param {Object} [options] - Conversion options
    * @param {boolean} [options.moveFocus=true] - Move focus to the output
    *   afterwards. Off for background re-conversions (settings changes).
+   * @param {string} [options.updatedMessage] - Announcement for a
+   *   background re-conversion
    */
-  async convertTab({ moveFocus = true } = {}) {
+  async convertTab({
+    moveFocus = true,
+    updatedMessage = 'Output updated with new settings.'
+  } = {}) {
     if (this.isConverting) return;
 
-    const input = this.tabInput.value.trim();
-    if (!input) {
+    // Untrimmed, so diagnostic line numbers match the input area.
+    const input = this.tabInput.value;
+    if (!input.trim()) {
       notificationManager.warning('Please enter a guitar tab to convert.');
       return;
     }
@@ -390,10 +489,18 @@ class AccessibleGuitarTabsApp {
       const settings = TabConverter.getSettingsFromElements(this.settingsElements);
 
       // Convert the tab
-      const converted = this.converter.convert(input, settings);
+      const { output, diagnostics, sourceMap, parts, part } = this.converter.convertWithDetails(
+        input,
+        settings,
+        { part: this.partIndex }
+      );
 
       // Display result
-      this.tabOutput.value = converted;
+      this.tabOutput.value = output;
+      this.sourceMap = sourceMap;
+      this.partIndex = part;
+      this.populatePartPicker(parts, part);
+      this.renderDiagnostics(diagnostics);
       this.copyBtn.disabled = false;
       if (this.saveBtn) {
         this.saveBtn.disabled = false;
@@ -401,16 +508,29 @@ class AccessibleGuitarTabsApp {
       // The output now reflects the pasted text, not a Guitar Pro track.
       this.activeSource = 'text';
 
+      const problems = this.describeDiagnostics(diagnostics);
       if (moveFocus) {
-        notificationManager.success('Tab converted. The output area has the result.');
+        const partNote =
+          parts.length > 1
+            ? ` ${parts.length} parts found; converted ${parts[part].name}. Choose another part in the part list above the settings.`
+            : '';
+        const message = problems
+          ? `Tab converted with ${problems} The output area has the result.${partNote}`
+          : `Tab converted. The output area has the result.${partNote}`;
+        // Info diagnostics (a rewritten tab dialect) are not problems.
+        const warned = diagnostics.some(diagnostic => diagnostic.severity !== 'info');
+        notificationManager[warned ? 'warning' : 'success'](message);
         this.tabOutput.focus();
       } else {
-        notificationManager.announce('Output updated with new settings.');
+        notificationManager.announce(problems ? `${updatedMessage} ${problems}` : updatedMessage);
       }
 
     } catch (error) {
       console.error('Conversion error:', error);
       this.tabOutput.value = error.message;
+      this.sourceMap = [];
+      this.populatePartPicker([], 0);
+      this.renderDiagnostics([]);
       this.copyBtn.disabled = true;
       if (this.saveBtn) {
         this.saveBtn.disabled = true;
@@ -426,6 +546,129 @@ class AccessibleGuitarTabsApp {
     }
   }
 
+  /**
+   * Spoken summary of parse diagnostics ("2 warnings: line 14 is 3
+   * characters shorter than the other strings; ..."), or an empty string.
+   * Only the first three are read out; the list under the input has all.
+   * @param {Array<Object>} diagnostics - Diagnostics from the converter
+   * @returns {string} Summary sentence
+   */
+  describeDiagnostics(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) return '';
+
+    const count = diagnostics.length;
+    const kind = diagnostics.every(diagnostic => diagnostic.severity === 'info')
+      ? 'note'
+      : 'warning';
+    const spoken = diagnostics
+      .slice(0, 3)
+      .map(diagnostic => diagnostic.message.charAt(0).toLowerCase() + diagnostic.message.slice(1));
+    const more = count > 3 ? `; and ${count - 3} more` : '';
+    return `${count} ${kind}${count === 1 ? '' : 's'}: ${spoken.join('; ')}${more}.`;
+  }
+
+  /**
+   * Show parse diagnostics under the input as buttons that move the
+   * cursor to the line they are about. An empty list hides the panel.
+   * @param {Array<Object>} diagnostics - Diagnostics from the converter
+   */
+  renderDiagnostics(diagnostics) {
+    if (!this.diagnosticsPanel || !this.diagnosticsList) return;
+
+    this.diagnosticsList.textContent = '';
+    for (const diagnostic of diagnostics) {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = diagnostic.message;
+      button.addEventListener('click', () =>
+        this.jumpToInputLine(diagnostic.line, diagnostic.column)
+      );
+      item.appendChild(button);
+      this.diagnosticsList.appendChild(item);
+    }
+    this.diagnosticsPanel.hidden = diagnostics.length === 0;
+  }
+
+  /**
+   * Move focus and the cursor to a line and column of the input area.
+   * @param {number} line - 1-based line number
+   * @param {number} [column=1] - 1-based column, clamped to the line
+   */
+  jumpToInputLine(line, column = 1) {
+    const lines = this.tabInput.value.split('\n');
+    const index = Math.min(Math.max(line, 1), lines.length) - 1;
+    let offset = 0;
+    for (let i = 0; i < index; i++) {
+      offset += lines[i].length + 1;
+    }
+    offset += Math.min(Math.max(column, 1) - 1, lines[index].length);
+
+    this.tabInput.focus();
+    this.tabInput.setSelectionRange(offset, offset);
+    notificationManager.announce(`Line ${index + 1}: ${lines[index].trim() || 'blank'}`);
+  }
+
+  /**
+   * 1-based line and column of a textarea's caret.
+   * @param {HTMLTextAreaElement} textarea - Textarea to read
+   * @returns {{line: number, column: number}} Caret position
+   */
+  caretPosition(textarea) {
+    const before = textarea.value.slice(0, textarea.selectionStart).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  /**
+   * Move the input caret to where the output line under the caret was
+   * written in the pasted tab. Lines without a source of their own (blank
+   * lines, the summary) use the nearest mapped line above them.
+   */
+  jumpToSource() {
+    const { line } = this.caretPosition(this.tabOutput);
+    const entry = this.sourceMap.filter(candidate => candidate.outputLine <= line).pop();
+    if (!entry) {
+      notificationManager.announce(
+        this.sourceMap.length > 0
+          ? 'This line does not come from a particular part of the tab.'
+          : 'No source positions. Convert a pasted tab first.'
+      );
+      return;
+    }
+    this.jumpToInputLine(entry.line, entry.column);
+  }
+
+  /**
+   * The reverse of jumpToSource(): move focus to the first output line
+   * built from the input line under the caret (at or before its column),
+   * or from the nearest mapped line above it.
+   */
+  jumpToOutput() {
+    const { line, column } = this.caretPosition(this.tabInput);
+    const sameLine = this.sourceMap.filter(candidate => candidate.line === line);
+    const entry =
+      sameLine.filter(candidate => candidate.column <= column).pop() ||
+      sameLine[0] ||
+      this.sourceMap.filter(candidate => candidate.line < line).pop();
+    if (!entry) {
+      notificationManager.announce(
+        this.sourceMap.length > 0
+          ? 'Nothing in the output comes from this line.'
+          : 'No source positions. Convert a pasted tab first.'
+      );
+      return;
+    }
+
+    const lines = this.tabOutput.value.split('\n');
+    let offset = 0;
+    for (let i = 0; i < entry.outputLine - 1; i++) {
+      offset += lines[i].length + 1;
+    }
+    this.tabOutput.focus();
+    this.tabOutput.setSelectionRange(offset, offset);
+    notificationManager.announce(lines[entry.outputLine - 1] || '');
+  }
+
   /**
    * Copy converted tab to clipboard
    */
@@ -544,6 +787,10 @@ class AccessibleGuitarTabsApp {
   loadTab(tab) {
     this.tabInput.value = tab.originalTab;
     this.tabOutput.value = tab.convertedTab;
+    this.sourceMap = [];
+    this.partIndex = 0;
+    this.populatePartPicker([], 0);
+    this.renderDiagnostics([]);
 
     // Tabs imported from Guitar Pro files store a provenance line, not a
     // convertible tab, so re-converting them can only fail.
@@ -649,6 +896,18 @@ class AccessibleGuitarTabsApp {
         }
       }
       
+      // Alt + Shift + J: jump between an output line and its source in the
+      // pasted tab, in whichever direction focus is
+      if (e.altKey && e.shiftKey && e.code === 'KeyJ' && this.tabOutput) {
+        if (document.activeElement === this.tabOutput) {
+          e.preventDefault();
+          this.jumpToSource();
+        } else if (document.activeElement === this.tabInput) {
+          e.preventDefault();
+          this.jumpToOutput();
+        }
+      }
+
       // Ctrl/Cmd + Shift + C: Copy
       if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'C') {
         e.preventDefault();
@@ -5,9 +5,15 @@
 
 import { ChordParser } from './parsers/ChordParser.js';
 import { StandardTabParser } from './parsers/StandardTabParser.js';
+import { DialectNormalizer } from './parsers/DialectNormalizer.js';
+import { SongSheetParser } from './parsers/SongSheetParser.js';
+import { ChordProParser } from './parsers/ChordProParser.js';
 import { OutputFormatter } from './formatters/OutputFormatter.js';
+import { ChordProFormatter } from './formatters/ChordProFormatter.js';
+import { transposeChords, transposeSheet, transposeTabData } from './analysis/Transposer.js';
 import { detectTabFormat, validateSettings } from '../../utils/validators.js';
-import { TAB_FORMATS } from '../../utils/constants.js';
+import { DEFAULT_SETTINGS, TAB_FORMATS } from '../../utils/constants.js';
+import { getOrdinalSuffix } from '../../utils/helpers.js';
 
 /**
  * Main class for converting guitar tabs to accessible format
@@ -19,7 +25,18 @@ export class TabConverter {
   constructor() {
     this.chordParser = new ChordParser();
     this.standardTabParser = new StandardTabParser();
+    this.dialectNormalizer = new DialectNormalizer();
+    this.songSheetParser = new SongSheetParser();
+    this.chordProParser = new ChordProParser();
     this.outputFormatter = new OutputFormatter();
+    this.chordProFormatter = new ChordProFormatter();
+    // Formats converted without the tab parser, and so without a source map.
+    this.chordConverters = {
+      [TAB_FORMATS.CHORD_CHART]: this.convertChordChart,
+      [TAB_FORMATS.CHORD_DIAGRAMS]: this.convertChordDiagrams,
+      [TAB_FORMATS.SONG_SHEET]: this.convertSongSheet,
+      [TAB_FORMATS.CHORDPRO]: this.convertChordPro
+    };
   }
 
   /**
@@ -31,15 +48,42 @@ export class TabConverter {
    *   meant to be shown to the user directly
    */
   convert(tabText, settings = {}) {
+    return this.convertWithDetails(tabText, settings).output;
+  }
+
+  /**
+   * Convert tab text and report the problems the parser worked around and
+   * the tab dialects it rewrote (as info diagnostics), along with where
+   * each output line came from. Line numbers count from 1
+   * in tabText as given, so pass the input untrimmed if they are used to
+   * point back into it.
+   * @param {string} tabText - Raw tab text
+   * @param {Object} settings - Conversion settings
+   * @param {Object} [options] - Conversion options
+   * @param {number} [options.part=0] - Part to convert when the tab stacks
+   *   several instruments' blocks (index into the returned parts)
+   * @returns {{output: string, diagnostics: Array<{severity: string,
+   *   message: string, line: number, column: number}>, sourceMap:
+   *   Array<{outputLine: number, line: number, column: number}>, parts:
+   *   Array<{index: number, name: string, stringCount: number}>, part:
+   *   number}} Converted text, diagnostics sorted by line, output line →
+   *   input position, and the parts found with the one converted
+   * @throws {Error} If conversion fails, as for convert()
+   */
+  convertWithDetails(tabText, settings = {}, options = {}) {
     if (!tabText || typeof tabText !== 'string' || !tabText.trim()) {
       throw new Error('Please paste a guitar tab to convert.');
     }
 
-    // Normalize line endings, tabs and unicode dashes once, up front.
-    const normalized = tabText
-      .replace(/\r\n?/g, '\n')
-      .replace(/\t/g, '    ')
-      .replace(/[–—]/g, '-');
+    // Normalize line endings, tabs and unicode dashes once, up front,
+    // then rewrite numbered labels, box drawing and space-separated frets.
+    const {
+      text: normalized,
+      diagnostics: dialects,
+      lowFirstLines
+    } = this.dialectNormalizer.normalize(
+      this.normalizeLines(tabText).replace(/[–—]/g, '-')
+    );
 
     const validatedSettings = validateSettings(settings);
     const tabFormat = detectTabFormat(normalized);
@@ -52,10 +96,20 @@ export class TabConverter {
       );
     }
 
-    if (tabFormat === TAB_FORMATS.CHORD_CHART) {
-      return this.convertChordChart(normalized, validatedSettings);
+    if (tabFormat in this.chordConverters) {
+      return {
+        output: this.chordConverters[tabFormat].call(this, normalized, validatedSettings),
+        diagnostics: dialects,
+        sourceMap: [],
+        parts: [],
+        part: 0
+      };
     }
-    return this.convertTablature(normalized, validatedSettings);
+    const result = this.convertTablature(normalized, validatedSettings, options.part, lowFirstLines);
+    result.diagnostics = [...dialects, ...result.diagnostics].sort(
+      (a, b) => a.line - b.line || a.column - b.column
+    );
+    return result;
   }
 
   /**
@@ -73,40 +127,204 @@ export class TabConverter {
       throw new Error('No valid chords found in chord chart.');
     }
 
-    return this.outputFormatter.formatChordChart(chords, settings);
+    return this.formatChords(chords, settings);
+  }
+
+  /**
+   * Convert chord diagrams (a chord name over string lines or a fret grid)
+   * @param {string} tabText - Chord diagram text
+   * @param {Object} settings - Conversion settings
+   * @returns {string} Converted chord chart
+   * @private
+   */
+  convertChordDiagrams(tabText, settings) {
+    const lines = tabText.split('\n').filter(line => line.trim());
+    const chords = this.chordParser.parseChordDiagrams(lines);
+
+    if (chords.length === 0) {
+      throw new Error('No valid chords found in the chord diagrams.');
+    }
+
+    return this.formatChords(chords, settings);
+  }
+
+  /**
+   * Transpose parsed chords as the settings ask and format them.
+   * @param {Array<Object>} chords - Parsed chords
+   * @param {Object} settings - Conversion settings
+   * @returns {string} Converted chord chart
+   * @private
+   */
+  formatChords(chords, settings) {
+    const { chords: transposed, annotations } = transposeChords(
+      chords,
+      this.transposeOptions(settings)
+    );
+    return this.outputFormatter.formatChordChart(transposed, settings, annotations);
+  }
+
+  /**
+   * Convert a chords-over-lyrics song sheet
+   * @param {string} tabText - Song sheet text
+   * @param {Object} settings - Conversion settings
+   * @returns {string} Converted song sheet
+   * @private
+   */
+  convertSongSheet(tabText, settings) {
+    // Keep blank lines: they end lyric runs and sit between headings.
+    const sheet = this.songSheetParser.parse(tabText.split('\n'));
+    return this.outputFormatter.formatSongSheet(
+      transposeSheet(sheet, this.transposeOptions(settings)),
+      settings
+    );
+  }
+
+  /**
+   * Convert a ChordPro song file
+   * @param {string} tabText - ChordPro text
+   * @param {Object} settings - Conversion settings
+   * @returns {string} Converted song sheet
+   * @private
+   */
+  convertChordPro(tabText, settings) {
+    const sheet = this.chordProParser.parse(tabText.split('\n'));
+    return this.outputFormatter.formatSongSheet(
+      transposeSheet(sheet, this.transposeOptions(settings)),
+      settings
+    );
+  }
+
+  /**
+   * Whether text is a chord sheet (chords over lyrics, or ChordPro) that
+   * exportChordPro() can write out.
+   * @param {string} tabText - Raw tab text
+   * @returns {boolean} True for chord sheets
+   */
+  isChordSheet(tabText) {
+    return this.chordSheetParser(tabText) !== null;
+  }
+
+  /**
+   * Write a chord sheet out as ChordPro.
+   * @param {string} tabText - Song sheet or ChordPro text
+   * @param {Object} [options] - Export options
+   * @param {string} [options.title] - Title for sheets without their own
+   * @returns {string} ChordPro text
+   * @throws {Error} If the text is not a chord sheet
+   */
+  exportChordPro(tabText, options = {}) {
+    const parser = this.chordSheetParser(tabText);
+    if (!parser) {
+      throw new Error('Only chord sheets (chords over lyrics, or ChordPro) can be exported as ChordPro.');
+    }
+    const sheet = parser.parse(this.normalizeLines(tabText).split('\n'));
+    return this.chordProFormatter.format(sheet, options);
+  }
+
+  /**
+   * The parser for a chord sheet, or null for anything else.
+   * @param {string} tabText - Raw tab text
+   * @returns {SongSheetParser|ChordProParser|null} Parser
+   * @private
+   */
+  chordSheetParser(tabText) {
+    if (!tabText || typeof tabText !== 'string') return null;
+    const format = detectTabFormat(this.normalizeLines(tabText));
+    if (format === TAB_FORMATS.CHORDPRO) return this.chordProParser;
+    if (format === TAB_FORMATS.SONG_SHEET) return this.songSheetParser;
+    return null;
+  }
+
+  /**
+   * Normalize line endings and tabs the way conversion does.
+   * @param {string} tabText - Raw text
+   * @returns {string} Text with \n line endings and tabs as four spaces
+   * @private
+   */
+  normalizeLines(tabText) {
+    return tabText.replace(/\r\n?/g, '\n').replace(/\t/g, '    ');
   }
 
   /**
    * Convert tablature format
    * @param {string} tabText - Tab text
    * @param {Object} settings - Conversion settings
-   * @returns {string} Converted tablature
+   * @param {number} [part] - Index of the part to convert
+   * @param {number[]} [lowFirstLines=[]] - 0-based lines of blocks written
+   *   low string first, from DialectNormalizer
+   * @returns {{output: string, diagnostics: Array<Object>, sourceMap:
+   *   Array<Object>, parts: Array<Object>, part: number}} Converted
+   *   tablature, parser diagnostics, source map and parts
    * @private
    */
-  convertTablature(tabText, settings) {
+  convertTablature(tabText, settings, part, lowFirstLines = []) {
     // Keep blank lines: they separate tab sections.
     const lines = tabText.split('\n');
-    const tabData = this.standardTabParser.parse(lines);
+    const parsed = this.standardTabParser.parse(lines, {
+      part,
+      lowFirstLines,
+      estimateRhythm: settings.estimateRhythm,
+      instrument: settings.instrument
+    });
 
-    if (tabData.sequences.length === 0) {
+    if (parsed.sequences.length === 0) {
       throw new Error(
         'No notes found in the tab. Check that the string lines contain fret numbers.'
       );
     }
 
-    return this.outputFormatter.formatTablature(tabData, settings);
+    const { tabData, unplaced } = transposeTabData(parsed, this.transposeOptions(settings));
+    const { output, sourceMap } = this.outputFormatter.formatTablatureWithSourceMap(
+      tabData,
+      settings
+    );
+    const lost = unplaced.map(note => ({
+      severity: 'warning',
+      message:
+        'After transposing, no string can play the note written ' +
+        (note.fret === 0
+          ? `on the open ${note.string} string`
+          : `at the ${note.fret}${getOrdinalSuffix(note.fret)} fret of the ${note.string} string`) +
+        ', so it was left out',
+      line: note.lineNumber + 1,
+      column: note.column + 1
+    }));
+    return {
+      output,
+      diagnostics: [...tabData.diagnostics, ...lost],
+      sourceMap,
+      parts: tabData.parts,
+      part: tabData.part
+    };
   }
 
   /**
    * Format an already-parsed tab model into accessible text. Used by the
    * Guitar Pro import path, which produces the same { sequences,
-   * annotations } model as the ASCII parser but from file data.
+   * annotations } model as the ASCII parser but from file data. The model
+   * is transposed as the settings ask without being changed.
    * @param {Object} tabData - Parsed tab data
    * @param {Object} settings - Conversion settings
    * @returns {string} Converted accessible format
    */
   formatTabData(tabData, settings = {}) {
-    return this.outputFormatter.formatTablature(tabData, validateSettings(settings));
+    const validatedSettings = validateSettings(settings);
+    const { tabData: transposed } = transposeTabData(
+      tabData,
+      this.transposeOptions(validatedSettings)
+    );
+    return this.outputFormatter.formatTablature(transposed, validatedSettings);
+  }
+
+  /**
+   * Transpose options from the settings: semitones, and the capo to play
+   * at (-1 keeps the written one).
+   * @param {Object} settings - Validated settings
+   * @returns {{semitones: number, capo: number}} Options for the Transposer
+   * @private
+   */
+  transposeOptions(settings) {
+    return { semitones: settings.transpose, capo: settings.capo };
   }
 
   /**
@@ -120,6 +338,9 @@ export class TabConverter {
     for (const [key, element] of Object.entries(settingsElements)) {
       if (element && element.type === 'checkbox') {
         settings[key] = element.checked;
+      } else if (element && element.type === 'select-one') {
+        settings[key] =
+          typeof DEFAULT_SETTINGS[key] === 'number' ? Number(element.value) : element.value;
       }
     }
 
@@ -136,6 +357,8 @@ export class TabConverter {
       const element = settingsElements[key];
       if (element && element.type === 'checkbox' && typeof value === 'boolean') {
         element.checked = value;
+      } else if (element && element.type === 'select-one' && typeof value !== 'boolean') {
+        element.value = String(value);
       }
     }
   }
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { ChordProParser } from '../parsers/ChordProParser.js';
+import * as fixtures from './fixtures.js';
+
+const parser = new ChordProParser();
+const parse = text => parser.parse(text.split('\n'));
+
+describe('ChordProParser', () => {
+  it('keeps song details as directives, resolving meta and short forms', () => {
+    const { directives } = parse('{t: Song}\n{meta: artist Someone}\n[C]la');
+    expect(directives).toEqual([
+      { name: 'title', value: 'Song' },
+      { name: 'artist', value: 'Someone' }
+    ]);
+  });
+
+  it('opens sections for environments and names unlabeled ones', () => {
+    const { sections } = parse(fixtures.chordProTest);
+    expect(sections.map(section => section.heading)).toEqual(['Verse 1', null, 'Chorus', null]);
+    expect(sections[1].lines).toEqual([{ lineNumber: 11, note: 'Softly' }]);
+  });
+
+  it('places bracketed chords before the word they are in', () => {
+    const { sections } = parse('Amaz[G]ing [C]grace [G]');
+    expect(sections[0].lines[0].segments).toEqual([
+      { chords: ['G'], text: 'Amazing' },
+      { chords: ['C'], text: 'grace' },
+      { chords: ['G'], text: '' }
+    ]);
+  });
+
+  it('rejects files with no lyric or chord lines', () => {
+    expect(() => parse('{title: Empty}\n{c: nothing here}')).toThrow(/No chord or lyric lines/);
+  });
+});
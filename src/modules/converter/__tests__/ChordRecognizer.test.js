@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { recognizeChord } from '../analysis/ChordRecognizer.js';
+
+/** Notes from [fret, midi] pairs, high string first as events hold them. */
+function chord(...pairs) {
+  return pairs.map(([fret, midi]) => (midi === null ? { fret } : { fret, midi }));
+}
+
+describe('recognizeChord', () => {
+  it('names an open G major chord', () => {
+    const g = chord([3, 67], [0, 59], [0, 55], [0, 50], [2, 47], [3, 43]);
+    expect(recognizeChord(g)).toEqual({ name: 'G', description: 'G major, open position' });
+  });
+
+  it('names a power chord up the neck', () => {
+    const a5 = chord([7, 57], [5, 52], [5, 45]);
+    expect(recognizeChord(a5)).toEqual({ name: 'A5', description: 'A5 power chord' });
+  });
+
+  it('names added-note chords by symbol, ignoring muted strings', () => {
+    const cadd9 = chord([0, 64], [3, 62], [0, 55], [2, 52], [3, 48], ['mute', null]);
+    expect(recognizeChord(cadd9)).toEqual({ name: 'Cadd9', description: 'Cadd9, open position' });
+  });
+
+  it('names inversions over their bass note', () => {
+    const cOverE = chord([8, 72], [8, 67], [9, 64], [10, 60], [7, 52]);
+    expect(recognizeChord(cOverE)).toEqual({
+      name: 'C/E',
+      description: 'C major, first inversion'
+    });
+  });
+
+  it('prefers the bass note as the root when two readings fit', () => {
+    // A C E G is both Am7 and C6; with A in the bass it is Am7.
+    const am7 = chord([0, 64], [1, 60], [0, 55], [2, 52], [0, 45]);
+    expect(recognizeChord(am7).name).toBe('Am7');
+  });
+
+  it('returns null for single pitches and unknown clusters', () => {
+    expect(recognizeChord(chord([5, 69], [0, 57]))).toBeNull();
+    expect(recognizeChord(chord([1, 61], [1, 60], [1, 59]))).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { DialectNormalizer } from '../parsers/DialectNormalizer.js';
+import * as fixtures from './fixtures.js';
+
+const normalizer = new DialectNormalizer();
+
+describe('numbered string labels', () => {
+  it('drops labels numbered from the top so strings are named by tuning', () => {
+    const { text, diagnostics } = normalizer.normalize(fixtures.numberedStringsTest);
+    expect(text.split('\n')[2]).toBe(' |--1--3--|');
+    expect(diagnostics).toEqual([
+      {
+        severity: 'info',
+        message: 'Numbered string labels on lines 2 to 7 were read with string 1 as the highest string',
+        line: 2,
+        column: 1
+      }
+    ]);
+  });
+
+  it('marks blocks numbered from the bottom to be read low string first', () => {
+    const input = '\n4|--3--|\n3|--2--|\n2|--0--|\n1|--0--|';
+    const { text, diagnostics, lowFirstLines } = normalizer.normalize(input);
+    expect(text).toBe('\n |--3--|\n |--2--|\n |--0--|\n |--0--|');
+    expect(lowFirstLines).toEqual([1, 2, 3, 4]);
+    expect(diagnostics[0].message).toContain('low string first');
+  });
+
+  it('leaves numbered prose alone', () => {
+    const input = '1: Play it slowly\n2: Then faster';
+    expect(normalizer.normalize(input)).toEqual({ text: input, diagnostics: [], lowFirstLines: [] });
+  });
+});
+
+describe('box-drawing characters', () => {
+  it('reads lines and junctions as dashes and bars, and drops the frame edges', () => {
+    const { text, diagnostics } = normalizer.normalize(fixtures.boxDrawingTest);
+    const lines = text.split('\n');
+    expect(lines[1]).toBe('');
+    expect(lines[2]).toBe('e|--0---3--|');
+    expect(lines[8]).toBe('');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].message).toBe(
+      'Box-drawing characters on lines 2 to 9 were read as dashes and bar lines'
+    );
+  });
+});
+
+describe('space-separated frets', () => {
+  it('joins frets with dashes, keeping every column', () => {
+    const { text, diagnostics } = normalizer.normalize(fixtures.spacedFretsTest);
+    const lines = text.split('\n');
+    expect(lines[1]).toBe('e|-0--3--5');
+    expect(lines[4]).toBe('D|-2--2--0');
+    expect(diagnostics[0]).toMatchObject({ severity: 'info', line: 2 });
+  });
+
+  it('needs three such lines in a row', () => {
+    const input = 'Capo 2\nA 3 4\nplay it twice';
+    expect(normalizer.normalize(input).text).toBe(input);
+  });
+
+  it('leaves spaced chord charts alone', () => {
+    const input = 'C: x 3 2 0 1 0\nG: 3 2 0 0 0 3\nD: x x 0 2 3 2\nA: x 0 2 2 2 0';
+    expect(normalizer.normalize(input)).toEqual({ text: input, diagnostics: [], lowFirstLines: [] });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { analyzeFingering, findBarre } from '../analysis/FingeringAnalyzer.js';
+
+describe('analyzeFingering', () => {
+  it('gives each fretted string its own finger when four are enough', () => {
+    expect(analyzeFingering(['mute', 3, 2, 0, 1, 0])).toEqual({
+      fingers: [null, 3, 2, null, 1, null],
+      barre: null,
+      stretch: null
+    });
+    expect(analyzeFingering([3, 2, 0, 0, 0, 3]).fingers).toEqual([2, 1, null, null, null, 3]);
+  });
+
+  it('lays the first finger across the lowest fret when fingers run out', () => {
+    expect(analyzeFingering([1, 3, 3, 2, 1, 1])).toEqual({
+      fingers: [1, 3, 4, 2, 1, 1],
+      barre: { finger: 1, fret: 1, from: 0, to: 5 },
+      stretch: null
+    });
+    expect(analyzeFingering(['mute', 2, 4, 4, 3, 2])).toEqual({
+      fingers: [null, 1, 3, 4, 2, 1],
+      barre: { finger: 1, fret: 2, from: 1, to: 5 },
+      stretch: null
+    });
+  });
+
+  it('does not barre over an open string', () => {
+    expect(analyzeFingering([2, 3, 0, 4, 5, 2])).toEqual({
+      fingers: null,
+      barre: null,
+      stretch: null
+    });
+  });
+
+  it('does not barre over a muted string or one not played', () => {
+    for (const gap of ['mute', null]) {
+      expect(analyzeFingering([1, 3, 3, 2, gap, 1])).toEqual({
+        fingers: null,
+        barre: null,
+        stretch: null
+      });
+    }
+  });
+
+  it('flags shapes wider than four frets', () => {
+    expect(analyzeFingering(['mute', 3, 2, 0, 3, 7]).stretch).toEqual({ frets: 6, from: 2, to: 7 });
+    expect(analyzeFingering([1, 2, 3, 4, 5, 1])).toEqual({
+      fingers: null,
+      barre: null,
+      stretch: { frets: 5, from: 1, to: 5 }
+    });
+  });
+
+  it('has nothing to finger on open and muted shapes', () => {
+    expect(analyzeFingering(['mute', 0, 0, 0])).toEqual({ fingers: null, barre: null, stretch: null });
+  });
+});
+
+describe('findBarre', () => {
+  it('finds one finger on several strings at the same fret', () => {
+    expect(findBarre([1, 3, 3, 2, 1, 1], [1, 3, 4, 2, 1, 1])).toEqual({
+      finger: 1,
+      fret: 1,
+      from: 0,
+      to: 5
+    });
+  });
+
+  it('takes the lowest fret and ignores written thumbs and open strings', () => {
+    expect(findBarre([3, 5, 5, 5, 3, 3], ['T', 3, 3, 3, 1, 1])).toEqual({
+      finger: 1,
+      fret: 3,
+      from: 4,
+      to: 5
+    });
+    expect(findBarre(['mute', 3, 2, 0, 1, 0], [null, 3, 2, null, 1, null])).toBeNull();
+  });
+});
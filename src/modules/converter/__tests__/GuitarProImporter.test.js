@@ -6,6 +6,9 @@ import {
   describeScore,
   trackToTabData
 } from '../importers/GuitarProImporter.js';
+import { recognizeChord } from '../analysis/ChordRecognizer.js';
+import { TabConverter } from '../TabConverter.js';
+import { transposeTabData } from '../analysis/Transposer.js';
 
 /**
  * Build a real alphaTab Score from alphaTex markup, so tests exercise the
@@ -63,6 +66,23 @@ describe('trackToTabData: strings and frets', () => {
     expect(events[0].notes[0].duration).toBe('eighth note');
   });
 
+  it('gives chord notes the pitches the chord recognizer names', () => {
+    // A#3 G3 D3: G minor with D in the bass.
+    const { sequences } = tabDataFromTex('(3.3 5.4 5.5).8');
+    expect(recognizeChord(sequences[0].notes[0].notes)).toEqual({
+      name: 'Gm/D',
+      description: 'G minor, second inversion'
+    });
+  });
+
+  it('gives each note its sounding pitch, capo included', () => {
+    const plain = allNotes(tabDataFromTex('0.1.4 3.5.4'));
+    expect(plain.map(n => n.midi)).toEqual([64, 48]);
+
+    const capo = allNotes(tabDataFromTex('\\track "Capo" \\staff{tabs} \\capo 2 . 0.6.4'));
+    expect(capo[0].midi).toBe(42);
+  });
+
   it('turns dead notes into muted frets', () => {
     const { sequences } = tabDataFromTex('x.3.4');
     const notes = allNotes({ sequences });
@@ -133,6 +153,24 @@ describe('trackToTabData: techniques', () => {
     expect(pull).toMatchObject({ fromFret: 7, toFret: 5, context: 'pull-off from 7th fret' });
   });
 
+  it('names the trill partner fret', () => {
+    const notes = allNotes(tabDataFromTex('5.3{tr 7 16}'));
+    expect(notes[0].techniqueDetails).toContainEqual({
+      type: 'trill',
+      context: 'trill with 7th fret',
+      toFret: 7
+    });
+  });
+
+  it('speaks an imported trill as the ASCII parser speaks 5tr7', () => {
+    const converter = new TabConverter();
+    const imported = converter.formatTabData(tabDataFromTex('5.3{tr 7 16}'));
+    expect(imported).toContain('- G string, 5th fret, quarter note (trill with 7th fret)');
+    expect(
+      converter.convert('e|------|\nB|------|\nG|-5tr7-|\nD|------|\nA|------|\nE|------|')
+    ).toContain('- G string, 5th fret (trill with 7th fret)');
+  });
+
   it('converts bend points from quarter-tones to target frets', () => {
     const { sequences } = tabDataFromTex('3.3{b (0 4)} 3.3{b (0 2)}');
     const notes = allNotes({ sequences });
@@ -241,6 +279,18 @@ describe('trackToTabData: annotations', () => {
     expect(sequences[0].notes[0].notes[0].string).toBe('low D');
   });
 
+  it('records the capo so tracks can be moved to another one', () => {
+    const tabData = tabDataFromTex('\\track "Capo" \\staff{tabs} \\capo 2 . 0.6.4 3.5.4');
+    expect(tabData.metadata).toEqual({ capo: 2 });
+
+    const { tabData: moved } = transposeTabData(tabData, { capo: 0 });
+    expect(allNotes(moved).map(note => [note.string, note.fret])).toEqual([
+      ['low E', 2],
+      ['A', 5]
+    ]);
+    expect(moved.annotations.map(a => a.text)).toContain('Capo removed from the 2nd fret');
+  });
+
   it('uses standard string names when the tuning matches, regardless of octave', () => {
     // alphaTex tunings are written an octave above the GP binary presets;
     // detection must compare pitch classes, not raw MIDI numbers.
@@ -50,6 +50,33 @@ describe('formatTablature', () => {
     expect(out).not.toContain('0th fret');
   });
 
+  it('names the sounding pitch of notes and chords when asked', () => {
+    const single = tabData([
+      { position: 0, measure: 1, isChord: false, notes: [note('B', 1, 5, { midi: 64 })] }
+    ]);
+    expect(formatter.formatTablature(single, defaults)).not.toContain('E4');
+    expect(formatter.formatTablature(single, { ...defaults, includeNoteNames: true })).toContain(
+      '- B string, 5th fret, E4'
+    );
+
+    const chord = tabData([
+      {
+        position: 0,
+        measure: 1,
+        isChord: true,
+        notes: [note('B', 1, 1, { midi: 60 }), note('A', 4, 'mute'), note('low E', 5, 0, { midi: 40 })]
+      }
+    ]);
+    const verbose = formatter.formatTablature(chord, { ...defaults, includeNoteNames: true });
+    expect(verbose).toContain('B string 1st fret (C4), A string muted, low E string open (E2)');
+    const compact = formatter.formatTablature(chord, {
+      ...defaults,
+      verboseMode: false,
+      includeNoteNames: true
+    });
+    expect(compact).toContain('(1-x-0), notes C4 E2');
+  });
+
   it('renders muted notes', () => {
     const out = formatter.formatTablature(
       tabData([{ position: 0, measure: 1, isChord: false, notes: [note('A', 4, 'mute')] }]),
@@ -102,6 +129,157 @@ describe('formatTablature', () => {
     expect(single).not.toContain('Measure 1:');
   });
 
+  it('marks where repeats and endings begin in measure headers', () => {
+    const events = [1, 2, 3].map(measure => ({
+      position: measure * 4,
+      measure,
+      isChord: false,
+      notes: [note('B', 1, measure)]
+    }));
+    const out = formatter.formatTablature(
+      tabData(events, {
+        measureCount: 3,
+        repeats: [{ startMeasure: 1, endMeasure: 2, times: 3 }],
+        endings: [{ number: 2, startMeasure: 3, endMeasure: 3 }]
+      }),
+      defaults
+    );
+    expect(out).toContain('Measure 1 (repeat begins):');
+    expect(out).toContain('Measure 2 (repeat ends, play 3 times):');
+    expect(out).toContain('Measure 3 (2nd ending):');
+  });
+
+  it('describes a palm-mute span once instead of on every note', () => {
+    const muted = fret =>
+      note('low E', 5, fret, {
+        techniques: ['palm mute'],
+        techniqueDetails: [{ type: 'palm mute', context: 'palm muted', span: true }]
+      });
+    const events = [
+      { position: 1, measure: 1, isChord: false, notes: [muted(0)] },
+      { position: 5, measure: 2, isChord: false, notes: [muted(3)] }
+    ];
+    const spans = [
+      {
+        type: 'palm mute',
+        context: 'palm muted',
+        startPosition: 1,
+        endPosition: 5,
+        startMeasure: 1,
+        endMeasure: 2,
+        eventCount: 2
+      }
+    ];
+    const out = formatter.formatTablature(tabData(events, { measureCount: 2, spans }), defaults);
+    expect(out).toContain('- Palm muted from measure 1 to measure 2');
+    expect(out.match(/palm muted/gi)).toHaveLength(1);
+
+    const compact = formatter.formatTablature(tabData(events, { measureCount: 2, spans }), {
+      ...defaults,
+      verboseMode: false
+    });
+    expect(compact).toContain('- low E string, open\n');
+  });
+
+  it('speaks chord names on chords and once on the arpeggio under them', () => {
+    const events = [
+      { position: 0, measure: 1, isChord: true, chordName: 'C', notes: [note('B', 1, 1), note('A', 4, 3)] },
+      { position: 2, measure: 1, isChord: false, chordName: 'C', notes: [note('D', 3, 2)] },
+      { position: 4, measure: 1, isChord: false, chordName: 'G', notes: [note('low E', 5, 3)] },
+      { position: 6, measure: 1, isChord: false, chordName: 'G', notes: [note('D', 3, 0)] }
+    ];
+    const out = formatter.formatTablature(tabData(events), defaults);
+    expect(out).toContain('- Chord C: B string 1st fret, A string 3rd fret');
+    expect(out).toContain('- D string, 2nd fret\n');
+    expect(out).toContain('- low E string, 3rd fret, over G chord');
+    expect(out).not.toContain('- D string, open, over');
+
+    const compact = formatter.formatTablature(tabData(events), { ...defaults, verboseMode: false });
+    expect(compact).toContain('- Chord C: (1-3)');
+
+    const bare = formatter.formatTablature(tabData(events), { ...defaults, includeTiming: false });
+    expect(bare).not.toMatch(/Chord C|over G/);
+  });
+
+  it('maps each output line back to the input position it came from', () => {
+    const events = [
+      {
+        position: 0,
+        measure: 1,
+        isChord: false,
+        lineNumber: 3,
+        column: 2,
+        notes: [{ ...note('B', 1, 1), lineNumber: 3, column: 2 }]
+      },
+      {
+        position: 4,
+        measure: 2,
+        isChord: true,
+        lineNumber: 2,
+        column: 6,
+        notes: [note('high E', 0, 0), note('B', 1, 1)]
+      }
+    ];
+    const { output, sourceMap } = formatter.formatTablatureWithSourceMap(
+      tabData(events, { measureCount: 2, lineNumber: 2 }),
+      defaults
+    );
+    const lines = output.split('\n');
+    expect(sourceMap).toEqual([
+      { outputLine: 1, line: 3, column: 1 },
+      { outputLine: 3, line: 4, column: 3 },
+      { outputLine: 4, line: 4, column: 3 },
+      { outputLine: 6, line: 3, column: 7 },
+      { outputLine: 7, line: 3, column: 7 }
+    ]);
+    expect(lines[3]).toBe('- B string, 1st fret');
+    expect(lines[5]).toBe('Measure 2:');
+  });
+
+  it('has an empty source map for events without input positions', () => {
+    const events = [{ position: 0, measure: 1, isChord: false, notes: [note('G', 2, 7)] }];
+    const { sourceMap } = formatter.formatTablatureWithSourceMap(tabData(events), defaults);
+    expect(sourceMap).toEqual([]);
+  });
+
+  it('speaks the lyrics of each measure after its notes', () => {
+    const events = [
+      { position: 0, measure: 1, isChord: false, notes: [note('B', 1, 1)] },
+      { position: 4, measure: 2, isChord: false, notes: [note('G', 2, 2)] }
+    ];
+    const data = tabData(events, {
+      measureCount: 2,
+      lyrics: [
+        { measure: 1, text: 'I heard' },
+        { measure: 2, text: 'there was' }
+      ]
+    });
+    const out = formatter.formatTablature(data, defaults);
+    expect(out).toContain('- B string, 1st fret\n- Lyrics: I heard\n\nMeasure 2:');
+    expect(out).toMatch(/- G string, 2nd fret\n- Lyrics: there was$/);
+
+    const bare = formatter.formatTablature(data, { ...defaults, includeTiming: false });
+    expect(bare).not.toContain('Lyrics');
+  });
+
+  it('keeps the lyrics and repeat markers of repeated measures', () => {
+    const events = [1, 2, 3].map(measure => ({
+      position: measure * 4,
+      measure,
+      isChord: false,
+      notes: [note('B', 1, 1)]
+    }));
+    const data = tabData(events, {
+      measureCount: 3,
+      lyrics: [{ measure: 2, text: 'again' }],
+      repeats: [{ startMeasure: 3, endMeasure: 3, times: 2 }]
+    });
+    const out = formatter.formatTablature(data, { ...defaults, collapseRepeats: true });
+    expect(out).toContain(
+      'Measure 2: same as measure 1\n- Lyrics: again\n\nMeasure 3 (repeat begins'
+    );
+  });
+
   it('includes the section heading when annotations are enabled', () => {
     const out = formatter.formatTablature(
       tabData(
@@ -145,6 +323,66 @@ describe('formatTablature', () => {
     });
     expect(compact).toContain('hammer-on');
   });
+
+  it('suggests a fingering for chord shapes and spots the barre', () => {
+    const event = {
+      position: 0,
+      measure: 1,
+      isChord: true,
+      notes: [
+        note('high E', 0, 1),
+        note('B', 1, 1),
+        note('G', 2, 2),
+        note('D', 3, 3),
+        note('A', 4, 3),
+        note('low E', 5, 1)
+      ]
+    };
+    expect(formatter.formatTablature(tabData([event]), defaults)).toContain(
+      '; fingering: barre with finger 1 at the 1st fret from the low E string to the high E ' +
+        'string, finger 2 on the G string, finger 3 on the A string, finger 4 on the D string'
+    );
+    expect(
+      formatter.formatTablature(tabData([event]), { ...defaults, verboseMode: false })
+    ).toContain('(1-1-2-3-3-1); fingers 1-1-2-4-3-1, barre at 1st fret');
+  });
+
+  it('never lays a barre across a string the chord leaves silent', () => {
+    const event = {
+      position: 0,
+      measure: 1,
+      isChord: true,
+      notes: [
+        note('high E', 0, 1),
+        note('G', 2, 2),
+        note('D', 3, 3),
+        note('A', 4, 3),
+        note('low E', 5, 1)
+      ]
+    };
+    const out = formatter.formatTablature(tabData([event]), defaults);
+    expect(out).not.toContain('barre');
+    expect(out).toContain('; fingering: no fingering fits one hand');
+
+    const gapped = {
+      ...event,
+      notes: [note('B', 1, 1), note('G', 2, 2), note('D', 3, 3), note('low E', 5, 3)]
+    };
+    expect(
+      formatter.formatTablature(tabData([gapped]), { ...defaults, verboseMode: false })
+    ).toContain('(1-2-3-3); fingers 1-2-4-3');
+  });
+
+  it('leaves fingering off two-note shapes and when technique details are off', () => {
+    const dyad = { position: 0, measure: 1, isChord: true, notes: [note('G', 2, 7), note('D', 3, 9)] };
+    expect(formatter.formatTablature(tabData([dyad]), defaults)).not.toContain('finger');
+
+    const triad = { ...dyad, notes: [...dyad.notes, note('A', 4, 9)] };
+    expect(formatter.formatTablature(tabData([triad]), defaults)).toContain('fingering');
+    expect(
+      formatter.formatTablature(tabData([triad]), { ...defaults, includeTechniqueDetails: false })
+    ).not.toContain('finger');
+  });
 });
 
 describe('durations and rests (Guitar Pro imports)', () => {
@@ -270,4 +508,51 @@ describe('formatChordChart', () => {
     expect(out).toMatch(/6th string: muted/);
     expect(out).toMatch(/1st string: open/);
   });
+
+  it('speaks fingers and a barre across part of the neck', () => {
+    const out = formatter.formatChordChart(
+      [
+        {
+          name: 'Bm',
+          frets: ['mute', 2, 4, 4, 3, 2],
+          fingers: [null, 1, 3, 4, 2, 1],
+          stringCount: 6
+        }
+      ],
+      { ...defaults, useStringNames: false }
+    );
+    expect(out).toContain(
+      'Bm chord (6-string):\n- Barre with finger 1 at the 2nd fret, from the 5th string to the 1st string\n' +
+        '- 6th string: muted\n- 5th string: 2nd fret, finger 1\n- 4th string: 4th fret, finger 3'
+    );
+  });
+
+  it('names 4-string chart strings for the instrument, bass by default', () => {
+    const chord = { name: 'C', frets: [0, 0, 0, 3], stringCount: 4 };
+    expect(formatter.formatChordChart([chord], { ...defaults, instrument: 'ukulele' })).toContain(
+      '- G: open\n- C: open\n- E: open\n- A: 3rd fret'
+    );
+    expect(formatter.formatChordChart([chord], defaults)).toContain('- low E: open\n- A: open');
+  });
+
+  it('suggests fingers when none are written and flags wide stretches', () => {
+    const out = formatter.formatChordChart(
+      [{ name: 'Cadd9', frets: ['mute', 3, 2, 0, 3, 7], stringCount: 6 }],
+      defaults
+    );
+    expect(out).toContain(
+      'Cadd9 chord (6-string, suggested fingering):\n- low E: muted\n- A: 3rd fret, finger 2\n' +
+        '- D: 2nd fret, finger 1\n- G: open\n- B: 3rd fret, finger 3\n- high E: 7th fret, finger 4\n' +
+        '- Wide stretch: 6 frets, from the 2nd fret to the 7th'
+    );
+  });
+
+  it('says so when no fingering fits one hand', () => {
+    const out = formatter.formatChordChart(
+      [{ name: 'X', frets: [1, 2, 3, 4, 5, 1], stringCount: 6 }],
+      defaults
+    );
+    expect(out).toContain('X chord (6-string):\n- low E: 1st fret\n');
+    expect(out).toContain('- No fingering fits one hand');
+  });
 });
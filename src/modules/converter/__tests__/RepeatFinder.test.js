@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  eventSignature,
+  findRepeatedMeasures,
+  measureSignatures,
+  sectionSignature
+} from '../analysis/RepeatFinder.js';
+
+/** Comparison keys for measures 1, 2, ... from one letter per measure. */
+function keys(letters) {
+  return new Map([...letters].map((letter, index) => [index + 1, letter]));
+}
+
+function event(position, measure, fret, extra = {}) {
+  return {
+    position,
+    measure,
+    isChord: false,
+    notes: [{ string: 'A', stringIndex: 4, fret, techniques: [], techniqueDetails: [] }],
+    ...extra
+  };
+}
+
+describe('findRepeatedMeasures', () => {
+  it('points a repeated block back to the measures it repeats', () => {
+    expect(findRepeatedMeasures(keys('ABCDABCDE'))).toEqual([
+      { from: 5, to: 8, sourceFrom: 1, sourceTo: 4 }
+    ]);
+  });
+
+  it('points a measure played over and over back to its first time', () => {
+    expect(findRepeatedMeasures(keys('AAAAB'))).toEqual([
+      { from: 2, to: 4, sourceFrom: 1, sourceTo: 1 }
+    ]);
+  });
+
+  it('only refers back to measures spoken in full', () => {
+    expect(findRepeatedMeasures(keys('ABABAB'))).toEqual([
+      { from: 3, to: 4, sourceFrom: 1, sourceTo: 2 },
+      { from: 5, to: 6, sourceFrom: 1, sourceTo: 2 }
+    ]);
+  });
+
+  it('does not run across measures left out', () => {
+    const signatures = keys('ABABAB');
+    signatures.delete(4);
+    expect(findRepeatedMeasures(signatures)).toEqual([
+      { from: 3, to: 3, sourceFrom: 1, sourceTo: 1 },
+      { from: 5, to: 6, sourceFrom: 1, sourceTo: 2 }
+    ]);
+  });
+});
+
+describe('measureSignatures', () => {
+  it('compares what is played, not where it is written', () => {
+    const signatures = measureSignatures([
+      event(0, 1, 3),
+      event(6, 2, 3),
+      event(12, 3, 3, { chordName: 'C' }),
+      event(18, 4, 5)
+    ]);
+    expect(signatures.get(1)).toBe(signatures.get(2));
+    expect(signatures.get(3)).not.toBe(signatures.get(1));
+    expect(signatures.get(4)).not.toBe(signatures.get(1));
+  });
+
+  it('tells apart measures where a palm-mute span starts', () => {
+    const span = {
+      startPosition: 6,
+      startMeasure: 2,
+      endMeasure: 2,
+      eventCount: 1,
+      context: 'palm muted'
+    };
+    const signatures = measureSignatures([event(0, 1, 3), event(6, 2, 3)], [span]);
+    expect(signatures.get(1)).not.toBe(signatures.get(2));
+  });
+});
+
+describe('eventSignature', () => {
+  it('sets techniques and durations apart', () => {
+    const plain = event(0, 1, 3);
+    const slid = event(0, 1, 3);
+    slid.notes[0].techniqueDetails = [{ type: 'slide-up', context: 'slide up to 5th fret' }];
+    const longer = event(0, 1, 3);
+    longer.notes[0].duration = 'half note';
+    expect(eventSignature(slid)).not.toBe(eventSignature(plain));
+    expect(eventSignature(longer)).not.toBe(eventSignature(plain));
+  });
+});
+
+describe('sectionSignature', () => {
+  it('matches sections played the same way wherever they are written', () => {
+    const first = { stringCount: 6, notes: [event(0, 1, 3), event(6, 2, 5)] };
+    const again = { stringCount: 6, notes: [event(2, 1, 3), event(9, 2, 5)] };
+    const other = { stringCount: 6, notes: [event(0, 1, 3), event(6, 2, 7)] };
+    expect(sectionSignature(first, first.notes)).toBe(sectionSignature(again, again.notes));
+    expect(sectionSignature(first, first.notes)).not.toBe(sectionSignature(other, other.notes));
+    expect(sectionSignature(first, [])).toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { findRiffs } from '../analysis/RiffFinder.js';
+
+/** Single-note events on one string per fret, in the given measure. */
+function events(measure, frets, stringIndex = 4) {
+  return frets.map((fret, index) => ({
+    position: measure * 10 + index,
+    measure,
+    isChord: false,
+    notes: [{ string: 'A', stringIndex, fret, techniques: [], techniqueDetails: [] }]
+  }));
+}
+
+function sequence(section, measures) {
+  return {
+    section,
+    measureCount: measures.length,
+    notes: measures.flatMap((frets, index) => events(index + 1, frets))
+  };
+}
+
+describe('findRiffs', () => {
+  it('names riffs that come back, in the order they first appear', () => {
+    const riffs = findRiffs([sequence(1, [[0, 3, 5], [7, 7, 7], [0, 3, 5], [7, 7, 7]])]);
+    expect(riffs.map(riff => riff.name)).toEqual(['A', 'B']);
+    expect(riffs[0].occurrences).toEqual([
+      { sequence: 0, section: 1, measure: 1, shift: 0, changed: null },
+      { sequence: 0, section: 1, measure: 3, shift: 0, changed: null }
+    ]);
+  });
+
+  it('finds a riff moved along the neck', () => {
+    const [riff] = findRiffs([sequence(1, [[0, 3, 5]]), sequence(2, [[2, 5, 7]])]);
+    expect(riff.occurrences[1]).toMatchObject({ sequence: 1, measure: null, shift: 2 });
+  });
+
+  it('allows a few changed notes and says where they are', () => {
+    const [riff] = findRiffs([
+      sequence(1, [
+        [0, 3, 5, 3],
+        [0, 3, 5, 7],
+        [5, 3, 5, 3],
+        [3, 6, 8, 6, 9]
+      ])
+    ]);
+    expect(riff.occurrences.map(occurrence => [occurrence.measure, occurrence.changed])).toEqual([
+      [1, null],
+      [2, 'ending'],
+      [3, 'start'],
+      [4, 'ending']
+    ]);
+    expect(riff.occurrences[3].shift).toBe(3);
+  });
+
+  it('leaves out passages that differ too much, short ones and rests', () => {
+    const rest = { position: 99, measure: 2, isRest: true, notes: [] };
+    const song = sequence(1, [[0, 3, 5, 3], [0, 5, 3, 7], [1, 2], [1, 2]]);
+    song.notes.push(rest);
+    expect(findRiffs([song])).toEqual([]);
+  });
+
+  it('compares chords string by string', () => {
+    const chord = (measure, frets) => ({
+      position: measure,
+      measure,
+      isChord: true,
+      notes: frets.map((fret, stringIndex) => ({ string: '', stringIndex, fret }))
+    });
+    const strum = (measure, frets) => [1, 2, 3].map(() => chord(measure, frets));
+    const riffs = findRiffs([
+      {
+        section: 1,
+        measureCount: 3,
+        notes: [
+          ...strum(1, [1, 1, 2, 3]),
+          ...strum(2, [3, 3, 4, 5]),
+          ...strum(3, [3, 3, 'mute', 5])
+        ]
+      }
+    ]);
+    expect(riffs).toHaveLength(1);
+    expect(riffs[0].occurrences.map(occurrence => occurrence.shift)).toEqual([0, 2]);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { SongSheetParser } from '../parsers/SongSheetParser.js';
+import * as fixtures from './fixtures.js';
+
+const parser = new SongSheetParser();
+const parse = text => parser.parse(text.split('\n'));
+
+describe('SongSheetParser', () => {
+  it('heads sections with the lines above them, never with lyrics', () => {
+    const { notes, sections } = parse(fixtures.songSheetTest);
+    expect(notes).toEqual(['Hallelujah', 'Capo: 5']);
+    expect(sections.map(section => section.heading)).toEqual(['Verse 1', 'Chorus', 'Outro']);
+    expect(sections[0].lines).toHaveLength(2);
+  });
+
+  it('moves a chord over the middle of a word to the start of the word', () => {
+    const { sections } = parse('  G      D\nAmazing grace');
+    expect(sections[0].lines[0].segments).toEqual([
+      { chords: ['G'], text: 'Amazing' },
+      { chords: ['D'], text: 'grace' }
+    ]);
+  });
+
+  it('keeps words before the first chord and chords past the last word', () => {
+    const { sections } = parse('      C           G\nOh my darling');
+    expect(sections[0].lines[0].segments).toEqual([
+      { chords: [], text: 'Oh my' },
+      { chords: ['C'], text: 'darling' },
+      { chords: ['G'], text: '' }
+    ]);
+  });
+
+  it('reads lyric lines without chords as sung lines of their section', () => {
+    const { sections } = parse('[Verse]\nC     G\nFirst line\nSecond line');
+    expect(sections[0].heading).toBe('Verse');
+    expect(sections[0].lines[1]).toEqual({
+      lineNumber: 3,
+      segments: [{ chords: [], text: 'Second line' }]
+    });
+  });
+});
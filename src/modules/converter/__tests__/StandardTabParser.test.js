@@ -1,12 +1,12 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { StandardTabParser } from '../parsers/StandardTabParser.js';
 import * as fixtures from './fixtures.js';
 
 const parser = new StandardTabParser();
 
-/** Parse a fixture string into { sequences, annotations }. */
-function parse(text) {
-  return parser.parse(text.split('\n'));
+/** Parse a fixture string into { sequences, annotations, diagnostics }. */
+function parse(text, options) {
+  return parser.parse(text.split('\n'), options);
 }
 
 /** Flatten every note event of the first sequence into [stringName, fret] pairs. */
@@ -111,16 +111,31 @@ describe('string labels', () => {
 });
 
 describe('section grouping', () => {
-  it('splits blocks separated by a blank line into separate sections', () => {
+  it('joins wrapped blocks into one section with running measure numbers', () => {
     const { sequences } = parse(fixtures.twoSectionsTest);
-    expect(sequences).toHaveLength(2);
+    expect(sequences).toHaveLength(1);
     expect(sequences[0].stringCount).toBe(6);
-    expect(sequences[1].stringCount).toBe(6);
-    const secondFrets = flatNotes(sequences[1]).map(([, f]) => f);
+    expect(sequences[0].measureCount).toBe(2);
+    const secondMeasure = sequences[0].notes.filter(e => e.measure === 2);
+    const secondFrets = secondMeasure.flatMap(e => e.notes.map(n => n.fret));
     expect(secondFrets).toContain(7);
     expect(secondFrets).toContain(8);
   });
 
+  it('starts a new section at a heading', () => {
+    const headed = parse(fixtures.twoSectionsTest.replace('\n\n', '\n\n[Chorus]\n'));
+    expect(headed.sequences).toHaveLength(2);
+    expect(headed.sequences[1].heading).toBe('Chorus');
+    expect(headed.sequences[1].notes[0].measure).toBe(1);
+  });
+
+  it('closes a repeat opened in the previous wrapped block', () => {
+    const { sequences } = parse(
+      'e|-0-|:-3-|\nB|-1-|:-1-|\nG|-0-|:-0-|\n\ne|-5-|-7-:|\nB|-1-|-1-:|\nG|-0-|-0-:|'
+    );
+    expect(sequences[0].repeats).toEqual([{ startMeasure: 2, endMeasure: 4, times: 2 }]);
+  });
+
   it('parses bare dash lines without labels or pipes', () => {
     const { sequences } = parse(fixtures.bareLinesTest);
     expect(sequences).toHaveLength(1);
@@ -143,6 +158,11 @@ describe('section grouping', () => {
     expect(sequences[0].heading).toBe('Verse 1');
   });
 
+  it('keeps a "Key = G major" line above a block as its heading, not a legend entry', () => {
+    const { sequences } = parse('Key = G major\ne|--3--|\nB|--0--|');
+    expect(sequences[0].heading).toBe('Key = G major');
+  });
+
   it('strips brackets from [Intro] headings', () => {
     const { sequences } = parse(fixtures.measuresTest);
     expect(sequences[0].heading).toBe('Intro');
@@ -155,6 +175,19 @@ describe('section grouping', () => {
     expect(frets).toEqual([5, 7]);
   });
 
+  it('reads symbols through the tab\'s own legend, overriding the built-in ones', () => {
+    const { sequences } = parse(fixtures.customLegendTest);
+    expect(sequences).toHaveLength(1);
+    const notes = sequences[0].notes.flatMap(e => e.notes);
+    expect(notes.map(n => [n.fret, n.techniqueDetails.map(d => d.context)])).toEqual([
+      [5, ['slap']],
+      [7, ['pop']],
+      [3, []],
+      [5, ['hammer-on from 3rd fret']],
+      [5, ['palm muted']]
+    ]);
+  });
+
   it('parses a 7-string tab', () => {
     const { sequences } = parse(fixtures.sevenStringTest);
     expect(sequences[0].stringCount).toBe(7);
@@ -244,6 +277,22 @@ describe('technique binding', () => {
     expect(slide.toFret).toBe(3);
   });
 
+  it('reads bend amounts, pre-bends, trills, harmonics and dead notes', () => {
+    const notes = highENotes(fixtures.extendedTechniquesTest);
+    expect(notes.map(n => n.fret)).toEqual([7, 7, 7, 5, 5, 12, 'mute']);
+    const contexts = notes.map(n => n.techniqueDetails.map(d => d.context));
+    expect(contexts).toEqual([
+      ['bend up toward 9th fret'],
+      ['bend up toward 8th fret'],
+      ['pre-bend toward 9th fret', 'release back to 7th fret'],
+      ['trill with 7th fret'],
+      ['pinch harmonic'],
+      ['artificial harmonic'],
+      []
+    ]);
+    expect(notes[3].techniques).toEqual(['trill']);
+  });
+
   it('never turns a lowercase b string label into a bend', () => {
     const { sequences } = parse(fixtures.strayTechniqueTest);
     const all = sequences[0].notes.flatMap(e => e.notes);
@@ -269,6 +318,95 @@ E|----------|
   });
 });
 
+describe('rhythm lines', () => {
+  it('attaches spoken durations to the events under each symbol', () => {
+    const { sequences } = parse(fixtures.rhythmTest);
+    const durations = sequences[0].notes
+      .filter(event => !event.isRest)
+      .map(event => [event.notes[0].fret, event.notes[0].duration]);
+    expect(durations).toEqual([
+      [0, 'quarter note'],
+      [1, 'eighth note'],
+      [3, 'eighth note'],
+      [12, 'dotted quarter note'],
+      [5, 'half note']
+    ]);
+  });
+
+  it('gives every note of a chord the same duration', () => {
+    const { sequences } = parse(fixtures.rhythmTest);
+    const chord = sequences[0].notes[0];
+    expect(chord.isChord).toBe(true);
+    expect(chord.notes.every(n => n.duration === 'quarter note')).toBe(true);
+  });
+
+  it('turns a symbol over an empty column into a rest', () => {
+    const { sequences } = parse(fixtures.rhythmTest);
+    const rests = sequences[0].notes.filter(event => event.isRest);
+    expect(rests).toHaveLength(1);
+    expect(rests[0]).toMatchObject({ duration: 'eighth rest', notes: [] });
+  });
+
+  it('does not treat the rhythm line as an annotation or a legend', () => {
+    const { annotations } = parse(fixtures.rhythmTest);
+    expect(annotations).toEqual([]);
+    const half = parse(`   h  q
+e|-5--7--|
+B|-------|
+G|-------|`);
+    expect(half.sequences[0].notes.map(e => e.notes[0].duration)).toEqual([
+      'half note',
+      'quarter note'
+    ]);
+  });
+
+  it('does not read a lone letter above a block as a rhythm line', () => {
+    const { sequences } = parse('    e\ne|-5--7--|\nB|-------|\nG|-------|');
+    expect(sequences[0].notes.some(event => event.isRest)).toBe(false);
+    expect(sequences[0].notes.flatMap(e => e.notes).every(n => n.duration === undefined)).toBe(true);
+  });
+
+  it('leaves notes untimed when there is no rhythm line', () => {
+    const { sequences } = parse(fixtures.measuresTest);
+    const all = sequences[0].notes.flatMap(e => e.notes);
+    expect(all.every(n => n.duration === undefined)).toBe(true);
+    expect(all.every(n => n.estimate === undefined)).toBe(true);
+  });
+});
+
+describe('rhythm estimated from spacing', () => {
+  it('reads each gap as a share of the measure and marks quick pairs and long gaps', () => {
+    const { sequences } = parse(fixtures.spacingTest, { estimateRhythm: true });
+    expect(sequences[0].rhythmEstimated).toBe(true);
+    expect(sequences[0].notes.map(e => e.notes[0].estimate)).toEqual([
+      { duration: 'quarter note' },
+      { duration: 'quarter note' },
+      { duration: 'eighth note', spacing: 'quick pair' },
+      { duration: 'half note', spacing: 'long gap' },
+      { duration: 'whole note' }
+    ]);
+  });
+
+  it('only describes relative spacing when there are no bar lines', () => {
+    const { sequences } = parse('e|--3---3-3---3---\nB|-----------------', {
+      estimateRhythm: true
+    });
+    expect(sequences[0].notes.map(e => e.notes[0].estimate)).toEqual([
+      undefined,
+      { spacing: 'quick pair' },
+      undefined,
+      undefined
+    ]);
+  });
+
+  it('leaves blocks with a rhythm line to their written durations', () => {
+    const { sequences } = parse(fixtures.rhythmTest, { estimateRhythm: true });
+    expect(sequences[0].rhythmEstimated).toBe(false);
+    const all = sequences[0].notes.flatMap(e => e.notes);
+    expect(all.every(n => n.estimate === undefined)).toBe(true);
+  });
+});
+
 describe('measures', () => {
   it('assigns measure numbers from bar lines', () => {
     const { sequences } = parse(fixtures.measuresTest);
@@ -283,12 +421,306 @@ describe('measures', () => {
     expect(chord3.measure).toBe(2);
   });
 
+  it('keeps the notes of a short first measure', () => {
+    const { sequences } = parse(fixtures.shortFirstMeasureTest);
+    expect(flatNotes(sequences[0])).toEqual([
+      ['high E', 3],
+      ['high E', 5]
+    ]);
+    expect(sequences[0].notes.map(e => e.measure)).toEqual([1, 2]);
+  });
+
   it('reports a single measure when there are no interior bar lines', () => {
     const { sequences } = parse(fixtures.lowercaseLabelsTest);
     expect(sequences[0].measureCount).toBeLessThanOrEqual(1);
   });
 });
 
+describe('span lines', () => {
+  it('palm mutes every note whose column falls inside the PM span', () => {
+    const { sequences } = parse(fixtures.spanLinesTest);
+    const lowE = sequences[0].notes
+      .flatMap(e => e.notes)
+      .filter(n => n.string === 'low E');
+    expect(lowE.map(n => n.techniques.includes('palm mute'))).toEqual([
+      true, true, true, true, true, true, false
+    ]);
+    expect(lowE[0].techniqueDetails).toContainEqual({
+      type: 'palm mute',
+      context: 'palm muted',
+      span: true
+    });
+  });
+
+  it('applies let ring to chords under the span', () => {
+    const { sequences } = parse(fixtures.spanLinesTest);
+    const chord = sequences[0].notes.find(e => e.isChord);
+    expect(chord.notes.every(n => n.techniques.includes('let ring'))).toBe(true);
+  });
+
+  it('records each span once with its measures', () => {
+    const { sequences, annotations } = parse(fixtures.spanLinesTest);
+    expect(sequences[0].spans).toMatchObject([
+      { type: 'palm mute', startMeasure: 1, endMeasure: 2, eventCount: 6 },
+      { type: 'let ring', startMeasure: 3, endMeasure: 3, eventCount: 2 }
+    ]);
+    expect(annotations).toEqual([]);
+  });
+
+  it('keeps the heading above a span line', () => {
+    const { sequences } = parse(`[Verse]\n${fixtures.spanLinesTest.trim()}`);
+    expect(sequences[0].heading).toBe('Verse');
+  });
+});
+
+describe('chord-name lines', () => {
+  it('names every event from the chord written above it', () => {
+    const { sequences } = parse(fixtures.chordNamesTest);
+    const names = sequences[0].notes.map(e => [e.measure, e.chordName]);
+    expect(names).toEqual([
+      [1, 'C'],
+      [1, 'C'],
+      [1, 'C'],
+      [1, 'C'],
+      [2, 'G'],
+      [2, 'G'],
+      [2, 'G'],
+      [2, 'G']
+    ]);
+  });
+
+  it('still lists the line as a chord progression, never as a heading', () => {
+    const { sequences, annotations } = parse(fixtures.chordNamesTest);
+    expect(sequences[0].heading).toBeNull();
+    expect(annotations.map(a => a.category)).toEqual(['chords']);
+  });
+});
+
+describe('lyric lines', () => {
+  it('groups the words under a block by the measure they are sung in', () => {
+    const { sequences } = parse(fixtures.lyricLinesTest);
+    expect(sequences[0].lyrics).toMatchObject([
+      { measure: 1, text: 'I heard', lineNumber: 7, column: 3 },
+      { measure: 2, text: 'there was' }
+    ]);
+    expect(sequences[0].notes[0].lyric).toBe('I');
+    expect(sequences[0].notes[1].lyric).toBe('heard');
+  });
+
+  it('joins hyphenated syllables and keeps the next heading', () => {
+    const { sequences, annotations } = parse(fixtures.lyricLinesTest);
+    expect(sequences[1].heading).toBe('Chorus');
+    expect(sequences[1].lyrics).toMatchObject([{ measure: 1, text: 'Hallelujah' }]);
+    expect(annotations.filter(a => a.category === 'lyrics')).toHaveLength(2);
+  });
+
+  it('leaves metadata lines under a block alone', () => {
+    const { sequences, annotations } = parse(
+      'e|-0-|\nB|-1-|\nG|-0-|\nTuning: standard'
+    );
+    expect(sequences[0].lyrics).toEqual([]);
+    expect(annotations.map(a => a.category)).not.toContain('lyrics');
+  });
+
+  it('leaves playing instructions under a block as notes', () => {
+    const instruction = 'Play this part twice, then go to the chorus';
+    const { sequences, annotations } = parse(`e|-0-|\nB|-1-|\nG|-0-|\n${instruction}`);
+    expect(sequences[0].lyrics).toEqual([]);
+    expect(annotations).toContainEqual(
+      expect.objectContaining({ text: instruction, category: 'note' })
+    );
+    expect(parse('e|-0-|\nB|-1-|\nG|-0-|\nLet it be').sequences[0].lyrics).toMatchObject([
+      { text: 'Let it be' }
+    ]);
+  });
+});
+
+describe('tuning, capo and tempo lines', () => {
+  it('reads header lines into metadata and summary lines', () => {
+    const { metadata, annotations } = parse(fixtures.headerMetadataTest);
+    expect(metadata).toEqual({
+      tuning: { text: 'D A D G B E', midi: [64, 59, 55, 50, 45, 38] },
+      capo: 3,
+      tempo: 96
+    });
+    expect(annotations.map(a => a.text)).toEqual([
+      'Tempo: 96 BPM',
+      'Capo on 3rd fret',
+      'Tuning, low string to high: D A D G B E',
+      'Intro'
+    ]);
+  });
+
+  it('names unlabeled strings from the declared tuning', () => {
+    const { sequences } = parse(fixtures.headerMetadataTest);
+    const names = sequences[0].notes.flatMap(e => e.notes.map(n => n.string));
+    expect(names).toContain('low D');
+    expect(names).not.toContain('low E');
+  });
+
+  it('reads bare tuning names like Drop C# and Eb standard', () => {
+    const drop = parse('Drop C#\n\n|-0-|\n|-0-|\n|-0-|\n|-0-|\n|-0-|\n|-0-|').metadata;
+    expect(drop.tuning.midi).toEqual([63, 58, 54, 49, 44, 37]);
+    const names = parse('Eb standard\n\n|-0-|\n|-0-|\n|-0-|\n|-0-|\n|-0-|\n|-0-|')
+      .sequences[0].notes[0].notes.map(n => n.string);
+    expect(names).toEqual(['Eb', 'Bb', 'Gb', 'Db', 'Ab', 'low Eb']);
+  });
+});
+
+describe('instruments', () => {
+  it('names and pitches a 4-string block as bass unless another instrument is chosen', () => {
+    const names = options => {
+      const { sequences, instrument } = parse(fixtures.fourStringTest, options);
+      const chord = sequences[0].notes[0].notes;
+      return [instrument, chord.map(n => n.string), chord.map(n => n.midi)];
+    };
+    expect(names()).toEqual(['guitar', ['G', 'D', 'A', 'low E'], [43, 38, 33, 30]]);
+    expect(names({ instrument: 'ukulele' })).toEqual([
+      'ukulele',
+      ['A', 'E', 'C', 'G'],
+      [69, 64, 60, 69]
+    ]);
+    expect(names({ instrument: 'mandolin' })[1]).toEqual(['E', 'A', 'D', 'G']);
+  });
+
+  it('counts the banjo drone string from the 5th fret', () => {
+    const { sequences, diagnostics, annotations } = parse(fixtures.banjoTest, {
+      instrument: 'banjo'
+    });
+    const drone = sequences[0].notes.flatMap(e => e.notes).filter(n => n.stringIndex === 4);
+    expect(drone.map(n => [n.string, n.fret, n.midi])).toEqual([
+      ['drone G', 0, 67],
+      ['drone G', 7, 69]
+    ]);
+    expect(drone[0].techniqueDetails).toEqual([{ type: 'drone', context: 'open drone string' }]);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        message: 'Fret 3 on line 6 is below the 5th fret, where the drone G string starts, so it was skipped'
+      })
+    ]);
+    expect(annotations).toContainEqual(expect.objectContaining({ text: '5-string banjo', category: 'instrument' }));
+  });
+
+  it('falls back to guitar for unknown instruments', () => {
+    expect(parse(fixtures.fourStringTest, { instrument: 'kazoo' }).instrument).toBe('guitar');
+  });
+});
+
+describe('parts', () => {
+  it('finds labeled parts and an unlabeled part with another string count', () => {
+    const { parts, part } = parse(fixtures.bandPartsTest);
+    expect(parts).toEqual([
+      { index: 0, name: 'Gtr I', stringCount: 6 },
+      { index: 1, name: 'Gtr II (clean)', stringCount: 6 },
+      { index: 2, name: '4-string part', stringCount: 4 }
+    ]);
+    expect(part).toBe(0);
+  });
+
+  it('returns only the chosen part, with headings shared across parts', () => {
+    const first = parser.parse(fixtures.bandPartsTest.split('\n'));
+    expect(first.sequences.map(s => s.heading)).toEqual(['Intro', 'Verse']);
+    expect(flatNotes(first.sequences[1])).toContainEqual(['low E', 3]);
+
+    const second = parser.parse(fixtures.bandPartsTest.split('\n'), { part: 1 });
+    expect(second.sequences.map(s => s.heading)).toEqual(['Intro', 'Verse']);
+    expect(flatNotes(second.sequences[1])).toContainEqual(['high E', 10]);
+    expect(second.annotations).toContainEqual(
+      expect.objectContaining({ text: 'Gtr II (clean)', category: 'part' })
+    );
+    expect(second.annotations.map(a => a.text)).not.toContain('Gtr II');
+  });
+
+  it('falls back to the first part for an unknown index', () => {
+    const { part, sequences } = parser.parse(fixtures.bandPartsTest.split('\n'), { part: 9 });
+    expect(part).toBe(0);
+    expect(sequences).toHaveLength(2);
+  });
+
+  it('reads a part label right below the block above it as the next part', () => {
+    const block = frets => ['e', 'B', 'G', 'D', 'A', 'E'].map((name, i) => `${name}|-${frets[i]}-|`);
+    const lines = ['Gtr I', ...block('010230'), 'Gtr II', ...block('300023')];
+    const { parts, sequences, annotations } = parser.parse(lines);
+    expect(parts.map(p => p.name)).toEqual(['Gtr I', 'Gtr II']);
+    expect(sequences).toHaveLength(1);
+    expect(sequences[0].lyrics || []).toEqual([]);
+    expect(annotations.map(a => a.category)).not.toContain('lyrics');
+    expect(flatNotes(parser.parse(lines, { part: 1 }).sequences[0])).toContainEqual(['high E', 3]);
+  });
+
+  it('reports problems only in the chosen part', () => {
+    const block = (frets, last) =>
+      ['e', 'B', 'G', 'D', 'A', 'E'].map((name, i) => `${name}|-${frets[i]}-${i === 5 ? last : '-|'}`);
+    const lines = ['Gtr I', ...block('010230', '-|'), '', 'Gtr II', ...block('300023', '|')];
+    expect(parser.parse(lines).diagnostics).toEqual([]);
+    expect(parser.parse(lines, { part: 1 }).diagnostics).toContainEqual(
+      expect.objectContaining({ severity: 'warning', line: 15 })
+    );
+  });
+
+  it('keeps single-part tabs as they were', () => {
+    const { parts, annotations } = parse(fixtures.measuresTest);
+    expect(parts).toHaveLength(1);
+    expect(annotations.map(a => a.category)).not.toContain('part');
+  });
+});
+
+describe('repeats and endings', () => {
+  it('reads ||: and :|| as one repeat that plays twice', () => {
+    const { sequences } = parse(fixtures.repeatEndingsTest);
+    expect(sequences[0].measureCount).toBe(5);
+    expect(sequences[0].repeats).toEqual([{ startMeasure: 1, endMeasure: 4, times: 2 }]);
+  });
+
+  it('places first and second endings by column', () => {
+    const { sequences } = parse(fixtures.repeatEndingsTest);
+    expect(sequences[0].endings).toEqual([
+      { number: 1, startMeasure: 4, endMeasure: 4 },
+      { number: 2, startMeasure: 5, endMeasure: 5 }
+    ]);
+  });
+
+  it('never reads the repeat dots as notes or doubled bars as extra measures', () => {
+    const { sequences } = parse(fixtures.repeatEndingsTest);
+    expect(flatNotes(sequences[0]).map(([, fret]) => fret)).toEqual([3, 5, 7, 8, 10]);
+    expect(sequences[0].notes.map(e => e.measure)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('reads x3 after a bar line as a repeat count, not a muted note', () => {
+    const { sequences } = parse(fixtures.repeatCountTest);
+    expect(sequences[0].repeats[0]).toEqual({ startMeasure: 2, endMeasure: 3, times: 3 });
+    expect(flatNotes(sequences[0])).not.toContainEqual(['high E', 'mute']);
+  });
+
+  it('binds a count written under the block to the bar above it', () => {
+    const { sequences, annotations } = parse(fixtures.repeatCountTest);
+    // The second block wraps on from the first: measures 4 and 5.
+    expect(sequences[0].repeats[1]).toEqual({ startMeasure: 4, endMeasure: 5, times: 4 });
+    expect(annotations.map(a => a.text)).not.toContain('x4');
+  });
+
+  it('emits Guitar Pro style repeat instructions', () => {
+    const { annotations } = parse(fixtures.repeatEndingsTest);
+    const instructions = annotations
+      .filter(a => a.category === 'instruction')
+      .map(a => a.text);
+    expect(instructions).toEqual([
+      'Measures 1 to 4 repeat, play 2 times',
+      '1st ending: measure 4',
+      '2nd ending: measure 5'
+    ]);
+  });
+
+  it('names the section when the tab has several', () => {
+    const { annotations } = parse(
+      fixtures.repeatCountTest.replace('\n\n', '\n\n[Outro]\n')
+    );
+    expect(annotations.map(a => a.text)).toContain(
+      'Measures 1 to 2 repeat, play 4 times (Section 2)'
+    );
+  });
+});
+
 describe('error handling', () => {
   it('throws a single plain-language error for non-tab input', () => {
     expect(() => parse(fixtures.notATabTest)).toThrowError(
@@ -319,3 +751,48 @@ describe('line endings', () => {
     );
   });
 });
+
+describe('diagnostics', () => {
+  it('reports short lines, impossible frets and stray string lines by line', () => {
+    const { diagnostics } = parse(
+      [
+        'e|-0---3---|',
+        'B|-1-----|',
+        'G|-0--99---|',
+        '',
+        'Tuning: standard',
+        'D|-2--3--|'
+      ].join('\n')
+    );
+    expect(diagnostics).toEqual([
+      {
+        severity: 'warning',
+        message: 'Line 2 is 2 characters shorter than the other strings',
+        line: 2,
+        column: 11
+      },
+      {
+        severity: 'warning',
+        message: 'Fret 99 on line 3 is higher than 24, so it was skipped',
+        line: 3,
+        column: 7
+      },
+      {
+        severity: 'warning',
+        message:
+          'Line 6 looks like a string line, but there are no other string lines ' +
+          'next to it, so it was skipped',
+        line: 6,
+        column: 3
+      }
+    ]);
+  });
+
+  it('reports nothing for a clean tab and never writes to the console', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parse(fixtures.mutedNotesTest).diagnostics).toEqual([]);
+    parse('e|-99-|\nB|-1--|\nG|-0--|');
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
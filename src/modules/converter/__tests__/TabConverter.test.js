@@ -87,10 +87,160 @@ describe('end-to-end conversion', () => {
     expect(out).toContain('muted');
   });
 
-  it('splits multi-section standard tabs into two sections', () => {
+  it('converts chord chart shorthand with fingerings and barres', () => {
+    const out = converter.convert(fixtures.chordShorthandTest, defaults);
+    expect(out).toContain(
+      'C chord (6-string):\n- low E: muted\n- A: 3rd fret, finger 3\n- D: 2nd fret, finger 2\n' +
+        '- G: open\n- B: 1st fret, finger 1\n- high E: open'
+    );
+    expect(out).toContain(
+      'F chord (6-string):\n- Barre with finger 1 across all strings at the 1st fret\n'
+    );
+    expect(out).toContain('- D: 3rd fret, finger 4');
+    expect(out).toContain(
+      'Dm chord (6-string, suggested fingering):\n- low E: muted\n- A: muted\n- D: open\n' +
+        '- G: 2nd fret, finger 2\n- B: 3rd fret, finger 3\n- high E: 1st fret, finger 1'
+    );
+    expect(out).toContain(
+      '- D: 14th fret, finger 4\n- G: 13th fret, finger 3\n- B: 12th fret, finger 1'
+    );
+  });
+
+  it('converts chord diagrams written as string lines, low string first', () => {
+    const out = converter.convert(fixtures.chordDiagramTest, defaults);
+    expect(out).toContain(
+      'C chord (6-string, suggested fingering):\n- low E: muted\n- A: 3rd fret, finger 3\n' +
+        '- D: 2nd fret, finger 2\n- G: open\n- B: 1st fret, finger 1\n- high E: open'
+    );
+    expect(out).toContain('G chord (6-string, suggested fingering):\n- low E: 3rd fret, finger 2');
+  });
+
+  it('converts grid chord diagrams with open and muted markers', () => {
+    const out = converter.convert(fixtures.chordGridTest, defaults);
+    expect(out).toContain(
+      'C chord (6-string, suggested fingering):\n- low E: muted\n- A: 3rd fret, finger 3\n' +
+        '- D: 2nd fret, finger 2\n- G: open\n- B: 1st fret, finger 1\n- high E: open'
+    );
+    expect(out).toContain(
+      'Bm chord (6-string, suggested fingering):\n' +
+        '- Barre with finger 1 at the 2nd fret, from the A string to the high E string\n' +
+        '- low E: muted\n- A: 2nd fret, finger 1\n- D: 4th fret, finger 3\n' +
+        '- G: 4th fret, finger 4\n- B: 3rd fret, finger 2\n- high E: 2nd fret, finger 1'
+    );
+  });
+
+  it('converts song sheets line by line under their section headings', () => {
+    const out = converter.convert(fixtures.songSheetTest, defaults);
+    expect(out).toBe(
+      [
+        'Song sheet:',
+        '- Hallelujah',
+        '- Capo: 5',
+        '',
+        'Verse 1, line 1: (C) I heard there (Am) was a secret chord',
+        'Verse 1, line 2: (C) That David played, (Am) and it pleased the Lord',
+        '',
+        'Chorus, line 1: (F) Hallelujah, (Am) Hallelujah, (F) Hallelujah',
+        'Note: (repeat x2)',
+        '',
+        'Outro, line 1: (C) (G/B) (Am) (F)'
+      ].join('\n')
+    );
+  });
+
+  it('converts ChordPro with its directives in the summary', () => {
+    const out = converter.convert(fixtures.chordProTest, defaults);
+    expect(out).toContain(
+      'Tab Information:\n- Song: "Hallelujah" by Leonard Cohen\n- Sections: Verse 1, Chorus\n' +
+        '- Timing: Tempo: 56 BPM\n- Instructions: Capo on 5th fret'
+    );
+    expect(out).toContain('Verse 1, line 2: That (C) David played, and it (Am) pleased the Lord');
+    expect(out).toContain('Chorus, line 1: (F) Hallelujah, (Am) Hallelujah, (F) (C) Hallelujah');
+    expect(out).toContain('Note: Tab on lines 17 to 19 left out; convert it on its own');
+  });
+
+  it('reads spaced chord charts with one-letter names as chords, not a tab', () => {
+    const input = 'C: x 3 2 0 1 0\nG: 3 2 0 0 0 3\nD: x x 0 2 3 2\nA: x 0 2 2 2 0';
+    const out = converter.convert(input, defaults);
+    expect(out).toContain('C chord (6-string, suggested fingering):\n- low E: muted');
+    expect(out).toContain('A chord (6-string');
+    expect(out).not.toContain('C string');
+  });
+
+  it('reads spaced chord charts without a colon', () => {
+    const input = 'C x 3 2 0 1 0\nG 3 2 0 0 0 3\nD x x 0 2 3 2\nA x 0 2 2 2 0';
+    const out = converter.convert(input, defaults);
+    expect(out).toContain('C chord (6-string, suggested fingering):\n- low E: muted\n- A: 3rd fret');
+    expect(out).toContain('D chord (6-string, suggested fingering):\n- low E: muted\n- A: muted');
+  });
+
+  it('reads a tab with bracketed chords in the notes above it as a tab', () => {
+    const input = [
+      '[Am]Intro riff here',
+      '[C]Then this part',
+      'e|-----0-----|',
+      'B|---1---1---|',
+      'G|-2-------2-|',
+      'D|-----------|',
+      'A|-----------|',
+      'E|-----------|'
+    ].join('\n');
+    const out = converter.convert(input, defaults);
+    expect(out).toContain('- G string, 2nd fret\n- B string, 1st fret\n- high E string, open');
+    expect(out).not.toContain('e|-----0-----|');
+  });
+
+  it('exports song sheets and ChordPro back out as ChordPro', () => {
+    const sheet = converter.exportChordPro(fixtures.songSheetTest, { title: 'My song' });
+    expect(sheet).toBe(
+      [
+        '{title: My song}',
+        '{capo: 5}',
+        '{comment: Hallelujah}',
+        '',
+        '{start_of_verse: Verse 1}',
+        '[C]I heard there [Am]was a secret chord',
+        '[C]That David played, [Am]and it pleased the Lord',
+        '{end_of_verse}',
+        '',
+        '{start_of_chorus}',
+        '[F]Hallelujah, [Am]Hallelujah, [F]Hallelujah',
+        '{comment: (repeat x2)}',
+        '{end_of_chorus}',
+        '',
+        '{start_of_verse: Outro}',
+        '[C] [G/B] [Am] [F]',
+        '{end_of_verse}',
+        ''
+      ].join('\n')
+    );
+
+    const chordPro = converter.exportChordPro(fixtures.chordProTest, { title: 'Ignored' });
+    expect(chordPro).toMatch(/^\{title: Hallelujah\}\n\{artist: Leonard Cohen\}/);
+    expect(chordPro).toContain('{comment: Softly}\n\n{start_of_chorus}');
+    expect(chordPro).toMatch(/\{chorus\}\n$/);
+    expect(converter.convert(chordPro, defaults)).toContain('Verse 1, line 1: (C) I heard there');
+  });
+
+  it('keeps every section heading through an export and import', () => {
+    const sheet = 'Intro\nC   G\nLa la la\n\nOutro\nF   C\nLa la la';
+    const chordPro = converter.exportChordPro(sheet, {});
+    expect(chordPro).toContain('{start_of_verse: Intro}\n[C]La [G]la la\n{end_of_verse}');
+    const out = converter.convert(chordPro, defaults);
+    expect(out).toContain('Intro, line 1: (C) La (G) la la');
+    expect(out).toContain('Outro, line 1: (F) La (C) la la');
+  });
+
+  it('refuses to export tabs as ChordPro', () => {
+    expect(converter.isChordSheet(fixtures.dropDTest)).toBe(false);
+    expect(() => converter.exportChordPro(fixtures.dropDTest)).toThrow(/Only chord sheets/);
+  });
+
+  it('runs measure numbers on across wrapped blocks of one section', () => {
     const out = converter.convert(fixtures.twoSectionsTest, defaults);
-    expect(out).toContain('Section 1');
-    expect(out).toContain('Section 2');
+    expect(out).toContain('Section 1, 2 measures');
+    expect(out).toContain('Measure 2:');
+    expect(out).not.toContain('Section 2');
   });
 
   it('converts bare tabs without labels or pipes', () => {
@@ -99,6 +249,17 @@ describe('end-to-end conversion', () => {
     expect(out).toContain('3rd fret');
   });
 
+  it('speaks durations from a rhythm line above the tab', () => {
+    const out = converter.convert(fixtures.rhythmTest, defaults);
+    expect(out).toContain('- high E string, 1st fret, eighth note');
+    expect(out).toContain('- Rest, eighth rest');
+    const untimed = converter.convert(fixtures.rhythmTest, {
+      ...defaults,
+      includeDurations: false
+    });
+    expect(untimed).not.toContain('eighth');
+  });
+
   it('converts bass tabs', () => {
     const out = converter.convert(fixtures.bassTest, defaults);
     expect(out).toContain('A string');
@@ -128,7 +289,177 @@ describe('error behavior', () => {
   });
 });
 
+describe('header metadata', () => {
+  it('summarizes tuning, capo and tempo like a Guitar Pro import', () => {
+    const out = converter.convert(fixtures.headerMetadataTest, defaults);
+    expect(out).toContain('- Timing: Tempo: 96 BPM');
+    expect(out).toContain('Capo on 3rd fret');
+    expect(out).toContain('Tuning, low string to high: D A D G B E');
+    expect(out).toContain('low D string, open');
+  });
+
+  it('names pitches from the declared tuning and capo', () => {
+    const out = converter.convert(fixtures.headerMetadataTest, {
+      ...defaults,
+      includeNoteNames: true
+    });
+    // Capo 3 over drop D: the open low string sounds F2, the 5th fret A#2.
+    expect(out).toContain('low D string, open, F2');
+    expect(out).toContain('low D string, 5th fret, A#2');
+  });
+
+  it('spells strings and pitches with flats when the tuning is written with flats', () => {
+    const tab = 'Eb standard\n\n|-0-|\n|-0-|\n|-0-|\n|-0-|\n|-0-|\n|-3-|';
+    const out = converter.convert(tab, { ...defaults, includeNoteNames: true });
+    expect(out).toContain('Tuning, low string to high: Eb Ab Db Gb Bb Eb');
+    expect(out).toContain('low Eb string 3rd fret (Gb2)');
+  });
+});
+
+describe('estimated rhythm', () => {
+  it('marks estimates as estimates, and only when asked', () => {
+    expect(converter.convert(fixtures.spacingTest, defaults)).not.toContain('estimated');
+    const out = converter.convert(fixtures.spacingTest, { ...defaults, estimateRhythm: true });
+    expect(out).toContain('- Rhythm estimated from spacing, not written in the tab');
+    expect(out).toContain(
+      '- high E string, open, estimated eighth note, quick pair with the next note'
+    );
+    expect(out).toContain('- high E string, open, estimated half note, long gap after');
+  });
+});
+
+describe('tab dialects', () => {
+  it('converts numbered, box-drawn and space-separated tabs and says so', () => {
+    for (const fixture of [
+      fixtures.numberedStringsTest,
+      fixtures.boxDrawingTest,
+      fixtures.spacedFretsTest
+    ]) {
+      const { output, diagnostics } = converter.convertWithDetails(fixture, defaults);
+      expect(output).toContain('high E string open, B string 1st fret');
+      expect(diagnostics[0].severity).toBe('info');
+    }
+  });
+
+  it('reads 4- and 5-string blocks numbered from the bottom low string first', () => {
+    const bass = converter.convert('4|--3--|\n3|--2--|\n2|--0--|\n1|--0--|', {
+      ...defaults,
+      instrument: 'bass',
+      includeNoteNames: true
+    });
+    expect(bass).toContain(
+      '- Chord: G string open (G2), D string open (D2), A string 2nd fret (B1), low E string 3rd fret (G1)'
+    );
+
+    const fiveString = converter.convert('5|--3--|\n4|--2--|\n3|-----|\n2|-----|\n1|-----|', {
+      ...defaults,
+      instrument: 'bass'
+    });
+    expect(fiveString).toContain('- Chord: low E string 2nd fret, low B string 3rd fret');
+  });
+});
+
+describe('parts', () => {
+  it('converts the chosen part of a band tab and lists them all', () => {
+    const first = converter.convertWithDetails(fixtures.bandPartsTest, defaults);
+    expect(first.parts.map(p => p.name)).toEqual(['Gtr I', 'Gtr II (clean)', '4-string part']);
+    expect(first.part).toBe(0);
+    expect(first.output).toContain('- Part: Gtr I');
+
+    const bass = converter.convertWithDetails(fixtures.bandPartsTest, defaults, { part: 2 });
+    expect(bass.output).toContain('- Part: 4-string part');
+    expect(bass.output).toContain('Section 1 (Intro):');
+    expect(bass.output).not.toContain('Section 2');
+  });
+});
+
+describe('diagnostics', () => {
+  it('returns the output with diagnostics numbered from the raw input', () => {
+    const input = '\n\ne|-0---3---|\nB|-1-----|\nG|-0-------|\n';
+    const { output, diagnostics } = converter.convertWithDetails(input, defaults);
+    expect(output).toBe(converter.convert(input, defaults));
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({ severity: 'warning', line: 4 });
+    expect(diagnostics[0].message).toBe('Line 4 is 2 characters shorter than the other strings');
+  });
+
+  it('does not count a repeat count or trailing spaces as a longer line', () => {
+    const { diagnostics } = converter.convertWithDetails(fixtures.repeatCountTest, defaults);
+    expect(diagnostics).toEqual([]);
+    const input = 'e|-0---3-:||x3\nB|-1-----:||  \nG|-0-----:||\n';
+    expect(converter.convertWithDetails(input, defaults).diagnostics).toEqual([]);
+  });
+
+  it('maps note lines to the fret they were written at', () => {
+    const input = '[Riff]\ne|-----3-|\nB|-1-----|\nG|-------|\n';
+    const { output, sourceMap } = converter.convertWithDetails(input, defaults);
+    const lines = output.split('\n');
+    const at = text => sourceMap.find(entry => lines[entry.outputLine - 1] === text);
+    expect(at('- B string, 1st fret')).toMatchObject({ line: 3, column: 4 });
+    expect(at('- high E string, 3rd fret')).toMatchObject({ line: 2, column: 8 });
+  });
+
+  it('has no diagnostics for chord charts', () => {
+    const { diagnostics } = converter.convertWithDetails(fixtures.chordChartTest, defaults);
+    expect(diagnostics).toEqual([]);
+  });
+});
+
 describe('settings', () => {
+  it('points out riffs that come back when asked', () => {
+    expect(converter.convert(fixtures.riffVariationsTest, defaults)).not.toContain('Riff');
+
+    const riffs = { ...defaults, identifyRiffs: true };
+    const out = converter.convert(fixtures.riffVariationsTest, riffs);
+    expect(out).toContain(
+      'Riffs:\n- Riff A, first in Section 1 measure 1, comes back 3 times: ' +
+        'Section 1 measure 2, up 2 frets; Section 1 measure 3, ending changed; ' +
+        'Section 1 measure 4\n' +
+        '- Riff B, first in Section 2 measure 1, comes back once: Section 2 measure 2\n\nSection 1'
+    );
+    expect(out).toContain('Measure 1 (Riff A):\n- low E string, open');
+    expect(out).toContain('Measure 2 (Riff A, up 2 frets):\n- low E string, 2nd fret');
+    expect(out).toContain('Measure 3 (Riff A, ending changed):');
+  });
+
+  it('collapses repeated measures and sections when asked', () => {
+    const full = converter.convert(fixtures.repeatedRiffTest, defaults);
+    expect(full).not.toContain('same as');
+    expect(full).toContain('Section 3 (Chorus), 4 measures:');
+
+    const collapse = { ...defaults, collapseRepeats: true };
+    const { output, sourceMap } = converter.convertWithDetails(fixtures.repeatedRiffTest, collapse);
+    expect(output).toContain(
+      '- A string, 3rd fret\n\nMeasures 2 to 3: same as measure 1\n\nMeasure 4:'
+    );
+    expect(output).toContain('\nMeasures 3 to 4: same as measures 1 to 2\n');
+    expect(output).toMatch(/\nSection 3 \(Chorus\): same as Section 2$/);
+
+    // The collapsed lines still lead back to their own bars in the tab.
+    const lines = output.split('\n');
+    const at = text => sourceMap.find(entry => lines[entry.outputLine - 1] === text);
+    expect(at('Measures 2 to 3: same as measure 1')).toMatchObject({ line: 8, column: 15 });
+    expect(at('Section 3 (Chorus): same as Section 2')).toMatchObject({ line: 19 });
+  });
+
+  it('names chords from their shapes when asked', () => {
+    expect(converter.convert(fixtures.dropDTest, defaults)).toContain('- Chord: high E');
+
+    const named = { ...defaults, identifyChords: true };
+    // Drop D: D A D A D E sounds Dsus2 (D, E and A).
+    expect(converter.convert(fixtures.dropDTest, named)).toContain(
+      '- Chord, Dsus2, open position: high E string open'
+    );
+    expect(converter.convert(fixtures.dropDTest, { ...named, verboseMode: false })).toContain(
+      '- Chord Dsus2: (0-3-2-0-0-0)'
+    );
+  });
+
+  it('keeps a written chord name over a recognized one', () => {
+    const out = converter.convert(fixtures.chordNamesTest, { ...defaults, identifyChords: true });
+    expect(out).not.toMatch(/Chord, .* major/);
+  });
+
   it('compact mode produces chord fret patterns', () => {
     const out = converter.convert(fixtures.dropDTest, {
       ...defaults,
@@ -137,6 +468,37 @@ describe('settings', () => {
     expect(out).toMatch(/Chord: \([\dx-]+\)/);
   });
 
+  it('reads and applies select settings alongside checkboxes', () => {
+    const elements = {
+      verboseMode: { type: 'checkbox', checked: true },
+      instrument: { type: 'select-one', value: 'ukulele' }
+    };
+    expect(TabConverter.getSettingsFromElements(elements)).toEqual({
+      verboseMode: true,
+      instrument: 'ukulele'
+    });
+    TabConverter.applySettingsToElements({ instrument: 'banjo', verboseMode: false }, elements);
+    expect(elements.instrument.value).toBe('banjo');
+    expect(elements.verboseMode.checked).toBe(false);
+  });
+
+  it('reads transpose and capo selects as numbers', () => {
+    const elements = {
+      transpose: { type: 'select-one', value: '-3' },
+      capo: { type: 'select-one', value: '2' }
+    };
+    expect(TabConverter.getSettingsFromElements(elements)).toEqual({ transpose: -3, capo: 2 });
+    TabConverter.applySettingsToElements({ transpose: 5, capo: -1 }, elements);
+    expect(elements.transpose.value).toBe('5');
+    expect(elements.capo.value).toBe('-1');
+  });
+
+  it('names the chosen instrument in the summary', () => {
+    const out = converter.convert(fixtures.fourStringTest, { ...defaults, instrument: 'ukulele' });
+    expect(out).toContain('- Instrument: Ukulele');
+    expect(out).toContain('- A string, 3rd fret');
+  });
+
   it('reads settings from checkbox-like elements', () => {
     const elements = {
       includeTiming: { type: 'checkbox', checked: false },
@@ -146,3 +508,55 @@ describe('settings', () => {
     expect(settings).toEqual({ includeTiming: false, verboseMode: true });
   });
 });
+
+describe('transposing', () => {
+  it('moves notes down and reports the ones no string can play', () => {
+    const { output, diagnostics } = converter.convertWithDetails(fixtures.lowRiffTest, {
+      ...defaults,
+      transpose: -2
+    });
+    expect(output).toContain(
+      '- Instructions: Transposed down 2 semitones, 3 notes could not be placed after transposing and were left out'
+    );
+    expect(output).toContain('- low E string, 1st fret');
+    expect(output).toContain('- A string, 1st fret (slide up to 3rd fret)');
+    expect(diagnostics).toHaveLength(3);
+    expect(diagnostics[0]).toEqual({
+      severity: 'warning',
+      message: 'After transposing, no string can play the note written on the open low E string, so it was left out',
+      line: 7,
+      column: 4
+    });
+  });
+
+  it('renames chords written over the tab', () => {
+    const out = converter.convert(fixtures.chordNamesTest, { ...defaults, transpose: 2 });
+    expect(out).toMatch(/Chord progression: D\s+A/);
+    expect(out).toContain('Chord D');
+    expect(out).not.toContain('Chord C');
+  });
+
+  it('moves a written capo without changing the pitch', () => {
+    const out = converter.convert(fixtures.headerMetadataTest, { ...defaults, capo: 0 });
+    expect(out).toContain('Capo removed from the 3rd fret');
+    expect(out).not.toContain('Capo on 3rd fret');
+    expect(out).toContain('- low D string, 3rd fret');
+  });
+
+  it('transposes chord charts and song sheets', () => {
+    const chart = converter.convert(fixtures.chordChartTest, { ...defaults, transpose: 2 });
+    expect(chart).toContain('- Instructions: Transposed up 2 semitones');
+    expect(chart).toContain('G chord (6-string, suggested fingering)');
+    expect(chart).toContain('Bm chord (6-string, suggested fingering)');
+
+    const sheet = converter.convert(fixtures.songSheetTest, { ...defaults, capo: 0 });
+    expect(sheet).toContain('Verse 1, line 1: (F) I heard there (Dm) was a secret chord');
+    expect(sheet).not.toContain('Capo: 5');
+  });
+
+  it('leaves the output alone at the default settings', () => {
+    expect(converter.convert(fixtures.lowRiffTest, { ...defaults, transpose: 0, capo: -1 })).toBe(
+      converter.convert(fixtures.lowRiffTest, defaults)
+    );
+  });
+});
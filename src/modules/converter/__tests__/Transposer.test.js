@@ -0,0 +1,254 @@
+import { describe, it, expect } from 'vitest';
+import {
+  transposeChordName,
+  transposeChords,
+  transposeSheet,
+  transposeTabData
+} from '../analysis/Transposer.js';
+
+/** Standard guitar strings, highest first, as the parser reports them. */
+const STRINGS = [
+  { name: 'high E', open: 64, startFret: 0 },
+  { name: 'B', open: 59, startFret: 0 },
+  { name: 'G', open: 55, startFret: 0 },
+  { name: 'D', open: 50, startFret: 0 },
+  { name: 'A', open: 45, startFret: 0 },
+  { name: 'low E', open: 40, startFret: 0 }
+];
+
+/** A note on a standard-tuned string, sounding at open + fret + capo. */
+function note(stringIndex, fret, capo = 0) {
+  return {
+    string: STRINGS[stringIndex].name,
+    stringIndex,
+    fret,
+    midi: STRINGS[stringIndex].open + capo + fret,
+    techniques: [],
+    techniqueDetails: []
+  };
+}
+
+/** Tab data with one sequence of the given events (arrays of notes). */
+function tabData(events, capo = 0) {
+  return {
+    sequences: [
+      {
+        section: 1,
+        heading: null,
+        measureCount: 1,
+        stringCount: 6,
+        strings: STRINGS.map(string => ({ ...string, open: string.open + capo })),
+        notes: events.map((notes, position) => ({
+          position,
+          measure: 1,
+          isChord: notes.length > 1,
+          notes
+        }))
+      }
+    ],
+    annotations: capo ? [{ text: `Capo on ${capo}rd fret`, lineNumber: 0, category: 'instruction' }] : [],
+    metadata: { capo }
+  };
+}
+
+describe('transposeChordName', () => {
+  it('moves the root and bass and keeps the quality', () => {
+    expect(transposeChordName('Am7/G', 2)).toBe('Bm7/A');
+    expect(transposeChordName('C', -1)).toBe('B');
+    expect(transposeChordName('F#m', 1)).toBe('Gm');
+  });
+
+  it('keeps flat spellings flat', () => {
+    expect(transposeChordName('Bb', 2)).toBe('C');
+    expect(transposeChordName('Eb', 1)).toBe('E');
+    expect(transposeChordName('Bb', 1)).toBe('B');
+    expect(transposeChordName('Db', 2)).toBe('Eb');
+  });
+
+  it('leaves other text and whole octaves alone', () => {
+    expect(transposeChordName('N.C.', 3)).toBe('N.C.');
+    expect(transposeChordName('G', 12)).toBe('G');
+  });
+});
+
+describe('transposeTabData', () => {
+  it('moves notes along their strings and renames the key', () => {
+    const data = tabData([[note(1, 1), note(2, 0)]]);
+    data.annotations.push({ text: 'Key: C', lineNumber: 0, category: 'instruction' });
+    const { tabData: moved, unplaced } = transposeTabData(data, { semitones: 2 });
+
+    expect(unplaced).toEqual([]);
+    expect(moved.sequences[0].notes[0].notes.map(n => [n.string, n.fret, n.midi])).toEqual([
+      ['B', 3, 62],
+      ['G', 2, 57]
+    ]);
+    expect(moved.annotations.map(a => a.text)).toEqual(['Key: D', 'Transposed up 2 semitones']);
+  });
+
+  it('moves a note below the nut to a free string that can play it', () => {
+    const { tabData: moved, unplaced } = transposeTabData(tabData([[note(0, 3), note(2, 0)]]), {
+      semitones: -2
+    });
+
+    expect(unplaced).toEqual([]);
+    const event = moved.sequences[0].notes[0];
+    expect(event.notes.map(n => [n.string, n.fret])).toEqual([
+      ['high E', 1],
+      ['D', 3]
+    ]);
+    expect(event.notes[1].midi).toBe(53);
+  });
+
+  it('reports notes no string can play and drops emptied events', () => {
+    const low = note(5, 0);
+    const { tabData: moved, unplaced } = transposeTabData(tabData([[low], [note(5, 3)]]), {
+      semitones: -1
+    });
+
+    expect(unplaced).toEqual([low]);
+    expect(moved.sequences[0].notes).toHaveLength(1);
+    expect(moved.annotations.map(a => a.text)).toContain(
+      '1 note could not be placed after transposing and was left out'
+    );
+  });
+
+  it('moves the capo without changing the pitch', () => {
+    const data = tabData([[note(1, 1, 3)]], 3);
+    const { tabData: moved } = transposeTabData(data, { capo: 1 });
+    const [moves] = moved.sequences[0].notes[0].notes;
+
+    expect([moves.fret, moves.midi]).toEqual([3, 63]);
+    expect(moved.metadata.capo).toBe(1);
+    expect(moved.annotations.map(a => a.text)).toEqual(['Capo moved to the 1st fret from the 3rd']);
+  });
+
+  it('moves technique frets with their note', () => {
+    const slide = note(4, 3);
+    slide.techniqueDetails = [{ type: 'slide-up', context: 'slide up to 5th fret', toFret: 5 }];
+    const { tabData: moved } = transposeTabData(tabData([[slide]]), { semitones: -2 });
+
+    expect(moved.sequences[0].notes[0].notes[0].techniqueDetails).toEqual([
+      { type: 'slide-up', context: 'slide up to 3rd fret', toFret: 3 }
+    ]);
+  });
+
+  it('leaves the tab data passed in as it was', () => {
+    const data = tabData([[note(1, 1)]]);
+    const before = JSON.stringify(data);
+    transposeTabData(data, { semitones: 5, capo: 2 });
+    expect(JSON.stringify(data)).toBe(before);
+  });
+
+  it('returns the same tab data when nothing changes', () => {
+    const data = tabData([[note(1, 1)]], 3);
+    expect(transposeTabData(data, { semitones: 0, capo: 3 }).tabData).toBe(data);
+    expect(transposeTabData(data, { semitones: 0, capo: -1 }).tabData).toBe(data);
+  });
+});
+
+describe('transposeChords', () => {
+  it('moves shapes and names, an octave up when they pass the nut', () => {
+    const { chords, annotations } = transposeChords(
+      [
+        { name: 'A', frets: ['mute', 0, 2, 2, 2, 0], stringCount: 6 },
+        { name: 'F', frets: [1, 3, 3, 2, 1, 1], stringCount: 6 }
+      ],
+      { semitones: -1 }
+    );
+
+    expect(chords[0]).toEqual({ name: 'G#', frets: ['mute', 11, 13, 13, 13, 11], stringCount: 6 });
+    expect(chords[1]).toEqual({ name: 'E', frets: [0, 2, 2, 1, 0, 0], stringCount: 6 });
+    expect(annotations.map(a => a.text)).toEqual(['Transposed down 1 semitone']);
+  });
+
+  it('keeps a fingering only while the shape stays the same', () => {
+    const fingers = [1, 3, 4, 2, 1, 1];
+    const { chords } = transposeChords(
+      [
+        { name: 'F', frets: [1, 3, 3, 2, 1, 1], fingers, stringCount: 6 },
+        { name: 'C', frets: ['mute', 3, 2, 0, 1, 0], fingers: [null, 3, 2, null, 1, null], stringCount: 6 }
+      ],
+      { semitones: 2 }
+    );
+
+    expect(chords[0]).toEqual({ name: 'G', frets: [3, 5, 5, 4, 3, 3], fingers, stringCount: 6 });
+    expect(chords[1]).not.toHaveProperty('fingers');
+  });
+
+  it('renames shapes for a capo', () => {
+    const { chords, annotations } = transposeChords(
+      [{ name: 'D', frets: ['mute', 'mute', 0, 2, 3, 2], stringCount: 6 }],
+      { capo: 2 }
+    );
+
+    expect(chords[0]).toEqual({ name: 'C', frets: ['mute', 'mute', 10, 12, 13, 12], stringCount: 6 });
+    expect(annotations.map(a => a.text)).toEqual(['Capo added on the 2nd fret']);
+  });
+});
+
+describe('transposeSheet', () => {
+  const sheet = {
+    directives: [
+      { name: 'key', value: 'G' },
+      { name: 'capo', value: '2' }
+    ],
+    annotations: [
+      { text: 'Capo on 2nd fret', lineNumber: 0, category: 'instruction' },
+      { text: 'Key: G', lineNumber: 0, category: 'instruction' }
+    ],
+    notes: [],
+    sections: [
+      {
+        heading: 'Verse',
+        lines: [
+          { lineNumber: 3, segments: [{ chords: ['G'], text: 'Hello' }, { chords: ['C/E'], text: 'world' }] },
+          { lineNumber: 4, note: 'Slowly' }
+        ]
+      }
+    ]
+  };
+
+  it('renames chord shapes and the key, and rewrites the capo', () => {
+    const moved = transposeSheet(sheet, { semitones: 2, capo: 0 });
+
+    expect(moved.sections[0].lines[0].segments.map(s => s.chords)).toEqual([['B'], ['E/G#']]);
+    expect(moved.sections[0].lines[1]).toEqual({ lineNumber: 4, note: 'Slowly' });
+    expect(moved.directives).toEqual([{ name: 'key', value: 'A' }]);
+    expect(moved.annotations.map(a => a.text)).toEqual([
+      'Key: A',
+      'Transposed up 2 semitones',
+      'Capo removed from the 2nd fret'
+    ]);
+  });
+
+  it('reads the capo from a "Capo:" note on plain song sheets', () => {
+    const plain = {
+      notes: ['Capo: 3'],
+      sections: [{ heading: null, lines: [{ lineNumber: 1, segments: [{ chords: ['C'], text: 'La' }] }] }]
+    };
+    const moved = transposeSheet(plain, { capo: 5 });
+
+    expect(moved.notes).toEqual(['Capo: 5']);
+    expect(moved.sections[0].lines[0].segments[0].chords).toEqual(['A#']);
+  });
+
+  it('renames "Key:" notes by the semitones moved', () => {
+    const plain = {
+      notes: ['Key: G', 'Capo: 2'],
+      sections: [
+        {
+          heading: null,
+          lines: [
+            { lineNumber: 2, segments: [{ chords: ['G'], text: 'La' }] },
+            { lineNumber: 3, note: 'key: Em' }
+          ]
+        }
+      ]
+    };
+    const moved = transposeSheet(plain, { semitones: 2 });
+
+    expect(moved.notes).toEqual(['Key: A', 'Capo: 2']);
+    expect(moved.sections[0].lines[1].note).toBe('key: F#m');
+    expect(moved.sections[0].lines[0].segments[0].chords).toEqual(['A']);
+  });
+});
@@ -47,6 +47,16 @@ A|---3-------2-------3---------|
 E|-----------3-----------------|
 `;
 
+// Bend amounts, pre-bends, trills, pinch and artificial harmonics, dead notes
+export const extendedTechniquesTest = `
+e|--7b(9)--7b½--7pb9r7--5tr7--5PH--[12]--*--|
+B|------------------------------------------|
+G|------------------------------------------|
+D|------------------------------------------|
+A|------------------------------------------|
+E|------------------------------------------|
+`;
+
 // Ghost notes, harmonics, taps
 export const advancedTechniquesTest = `
 e|---(5)---<12>---15t---|
@@ -119,7 +129,8 @@ A|--0--|
 C|--3--|
 `;
 
-// Two 6-line blocks separated by a blank line = two sections, never one 8-string blob
+// Two 6-line blocks separated by a blank line: one wrapped section with
+// continuous measures, never one 12-string blob
 export const twoSectionsTest = `
 |--3--5--|
 |--3--5--|
@@ -210,6 +221,97 @@ Am: X-0-2-2-1-0
 C: 0-1-0-2-3-X
 `;
 
+// Chord library: a name over six short string lines, high string on top
+export const chordDiagramTest = `C
+e|---0---
+B|---1---
+G|---0---
+D|---2---
+A|---3---
+E|---x---
+
+G
+e|---3---
+B|---0---
+G|---0---
+D|---0---
+A|---2---
+E|---3---
+`;
+
+// Chord chart shorthand: one character a fret, high frets in brackets,
+// spaced frets after a colon, and fingerings after a slash
+export const chordShorthandTest = `C x32010 / x32010
+F: 133211 / 134211
+Dm: x x 0 2 3 1
+E: x-x-(14)-(13)-(12)-(12)
+`;
+
+// Grid diagrams, low string on the left: x/o row above, fret wires between
+// fret rows, and a "2fr" label moving the second one up the neck
+export const chordGridTest = `Open chords
+
+C
+x     o   o
+|-|-|-|-|-|
+| | | | o |
+|-|-|-|-|-|
+| | o | | |
+|-|-|-|-|-|
+| o | | | |
+
+Bm
+x
+| o | | | o  2fr
+| | | | o |
+| | o o | |
+`;
+
+// Chords over lyrics: a title and capo note, bracketed and bare section
+// headings, a chord over the middle of a word, an instruction line and a
+// chord-only line
+export const songSheetTest = `Hallelujah
+Capo: 5
+
+[Verse 1]
+C              Am
+I heard there was a secret chord
+C                   Am
+That David played, and it pleased the Lord
+
+Chorus
+F          Am          F
+Hallelujah, Hallelujah, Hallelujah
+(repeat x2)
+
+[Outro]
+C   G/B   Am   F
+`;
+
+// ChordPro: song details, a labeled verse, a comment between sections, a
+// chorus with a chord inside a word, a tab environment and a chorus repeat
+export const chordProTest = `{title: Hallelujah}
+{artist: Leonard Cohen}
+{capo: 5}
+{tempo: 56}
+# Chords from the 1984 recording
+
+{start_of_verse: Verse 1}
+[C]I heard there [Am]was a secret chord
+That [C]David played, and it [Am]pleased the Lord
+{end_of_verse}
+
+{c: Softly}
+{soc}
+[F]Hallelujah, [Am]Hallelujah, [F]Halle[C]lujah
+{eoc}
+
+{start_of_tab}
+e|---0---|
+{end_of_tab}
+{chorus}
+`;
+
 // Standalone technique chars must not invent notes or bind to labels
 export const strayTechniqueTest = `
 e|----~----|
@@ -233,8 +335,286 @@ E|-------|
 | p  Pull-off
 `;
 
+// A legend that redefines s, adds its own symbols and maps PM onto palm mute
+export const customLegendTest = `
+s = slap
+S = pop
+H = hammer-on
+PM = palm mute
+
+e|--5s--7S--3H5--PM5--|
+B|--------------------|
+G|--------------------|
+D|--------------------|
+A|--------------------|
+E|--------------------|
+`;
+
+// Untimed tab whose spacing suggests quarters, an eighth pair and long notes
+export const spacingTest = `
+e|--0---0---0-0-----|--5-------------|
+B|------------------|----------------|
+G|------------------|----------------|
+D|------------------|----------------|
+A|------------------|----------------|
+E|------------------|----------------|
+`;
+
+// Strings numbered 1 (highest) to 6 instead of lettered
+export const numberedStringsTest = `
+1|--0-----|
+2|--1--3--|
+3|--0-----|
+4|--2-----|
+5|--3-----|
+6|--------|
+`;
+
+// A tab drawn with box-drawing characters inside a frame
+export const boxDrawingTest = `
+┌──────────┐
+e├──0───3──┤
+B├──1──────┤
+G├──0──────┤
+D├──2──────┤
+A├──3──────┤
+E├─────────┤
+└──────────┘
+`;
+
+// Frets separated by spaces instead of dashes
+export const spacedFretsTest = `
+e  0  3  5
+B  1  1  3
+G  0  0  0
+D  2  2  0
+`;
+
+// Unlabeled 4-string block: bass by default, ukulele or mandolin when chosen
+export const fourStringTest = `
+|--0--3--|
+|--0-----|
+|--0-----|
+|--2-----|
+`;
+
+// Banjo roll with the open drone string and a fret below where it starts
+export const banjoTest = `
+|------0-----|
+|----0-------|
+|--0---------|
+|------------|
+|--0--7--3---|
+`;
+
 // Plain text that is not a tab at all
 export const notATabTest = `Dear diary,
 today I practiced arpeggios for an hour.
 Tomorrow: sweep picking.
 `;
+
+// Rhythm line above the staff: durations by column, one rest over silence
+export const rhythmTest = `
+  q  e  e  q. e  h
+e|-0--1--3-----------|
+B|-1--------------5--|
+G|-------------------|
+D|-------------------|
+A|-------------------|
+E|----------12-------|
+`;
+
+// Repeat bars with a first and second ending
+export const repeatEndingsTest = `
+                          1.       2.
+e||:--3--|--5--|--7--|--8--:||--10--|
+B||:-----|-----|-----|-----:||------|
+G||:-----|-----|-----|-----:||------|
+D||:-----|-----|-----|-----:||------|
+A||:-----|-----|-----|-----:||------|
+E||:-----|-----|-----|-----:||------|
+`;
+
+// Repeat count written after the closing bar, and under the block
+export const repeatCountTest = `
+e|--0--|:--3--|--5--:|x3
+B|-----|:-----|-----:|
+G|-----|:-----|-----:|
+D|-----|:-----|-----:|
+A|-----|:-----|-----:|
+E|-----|:-----|-----:|
+
+e|--7--|--8--||
+B|-----|-----||
+G|-----|-----||
+D|-----|-----||
+A|-----|-----||
+E|-----|-----||
+              x4
+`;
+
+// A first measure shorter than five columns must keep its notes
+export const shortFirstMeasureTest = `
+e|-3-|--5--|
+B|---|-----|
+G|---|-----|
+D|---|-----|
+A|---|-----|
+E|---|-----|
+`;
+
+// Palm-mute and let-ring span lines above the staff
+export const spanLinesTest = `
+ PM--------|------      let ring ---
+e|--------|-----------|--0---3----|
+B|--------|-----------|--1--------|
+G|--------|-----------|--0--------|
+D|--------|-----------|--2--------|
+A|--------|-----------|--3--------|
+E|-0-0-0--|-0-0-3h5---|-----------|
+`;
+
+// Chord names above the staff, with an arpeggio under each chord
+export const chordNamesTest = `
+  C              G
+e|-0-----0-----|-3-----3---|
+B|-1-----1-----|-0-----0---|
+G|-0-------0---|-0-------0-|
+D|-2---2-------|-0---0-----|
+A|-3-----------|-2---------|
+E|-------------|-3---------|
+`;
+
+// A lyric line under the staff, one measure per phrase, the second
+// block headed by a section name right below the first block's lyrics
+export const lyricLinesTest = `
+e|-0---3---|-2-------|
+B|-1-------|-3-----3-|
+G|-0-------|-2-------|
+D|-2-------|-0-------|
+A|-3-------|---------|
+E|---------|---------|
+   I   heard there was
+Chorus
+e|-0-----0-----1-|
+B|-1-----1-----1-|
+G|-0-----0-----2-|
+D|-2-----2-----3-|
+A|-3-----3-----3-|
+E|-------------1-|
+   Hal-  le-   lujah
+`;
+
+// A band tab alternating two labeled guitar parts and an unlabeled bass
+export const bandPartsTest = `
+[Intro]
+Gtr I
+e|-0---3---|
+B|-1-------|
+G|-0-------|
+D|-2-------|
+A|-3-------|
+E|---------|
+
+Gtr II (clean)
+e|-------12|
+B|-----13--|
+G|---12----|
+D|---------|
+A|---------|
+E|---------|
+
+G|---------|
+D|---------|
+A|-3-------|
+E|---------|
+
+[Verse]
+Gtr. I
+e|-3-------|
+B|-0-------|
+G|-0-------|
+D|-0-------|
+A|-2-------|
+E|-3-------|
+
+Gtr II
+e|-------10|
+B|-----10--|
+G|---11----|
+D|---------|
+A|---------|
+E|---------|
+`;
+
+// Tuning, capo and tempo header lines above an unlabeled drop-D riff
+export const headerMetadataTest = `
+Tuning: D A D G B E
+Capo 3
+Tempo 96
+
+[Intro]
+|-----------|
+|-----------|
+|-----------|
+|-----------|
+|-----------|
+|-0-0-0-3-5-|
+`;
+
+// A riff on the open low E, which has nowhere to go when transposed down
+export const lowRiffTest = `
+e|----------------|
+B|----------------|
+G|----------------|
+D|----------------|
+A|-------3/5------|
+E|-0-0-3-------0--|
+`;
+
+// A one-measure riff played three times, and a chorus played twice
+export const repeatedRiffTest = `
+[Riff]
+e|----------|----------|----------|----------|
+B|----------|----------|----------|----------|
+G|----------|----------|----------|----------|
+D|-----2----|-----2----|-----2----|-----4----|
+A|---3---3--|---3---3--|---3---3--|---5---5--|
+E|-0--------|-0--------|-0--------|-3--------|
+
+[Chorus]
+e|-3-------|-0-------|-3-------|-0-------|
+B|-3-------|-1-------|-3-------|-1-------|
+G|-0-------|-0-------|-0-------|-0-------|
+D|-0-------|-2-------|-0-------|-2-------|
+A|-2-------|-3-------|-2-------|-3-------|
+E|-3-------|---------|-3-------|---------|
+
+[Chorus]
+e|-3-------|-0-------|-3-------|-0-------|
+B|-3-------|-1-------|-3-------|-1-------|
+G|-0-------|-0-------|-0-------|-0-------|
+D|-0-------|-2-------|-0-------|-2-------|
+A|-2-------|-3-------|-2-------|-3-------|
+E|-3-------|---------|-3-------|---------|
+`;
+
+// A riff played as written, up two frets and with its ending changed, and
+// a second riff in the chorus
+export const riffVariationsTest = `
+[Verse]
+e|----------|----------|----------|----------|
+B|----------|----------|----------|----------|
+G|----------|----------|----------|----------|
+D|-----2----|-----4----|-----2----|-----2----|
+A|---3---3--|---5---5--|---3---5--|---3---3--|
+E|-0--------|-2--------|-0--------|-0--------|
+
+[Chorus]
+e|----------|----------|
+B|----------|----------|
+G|-2-4-5----|-2-4-5----|
+D|----------|----------|
+A|----------|----------|
+E|----------|----------|
+`;
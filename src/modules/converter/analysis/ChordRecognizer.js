@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Names chords from the pitches of their notes, so a chord
+ * shape like (3-2-0-0-0-3) can be spoken as "G major, open position".
+ * Works on any notes carrying MIDI pitches, from pasted tabs and Guitar
+ * Pro imports alike.
+ * @module converter/analysis/ChordRecognizer
+ */
+
+import { NOTE_NAMES } from '../../../utils/music.js';
+
+/**
+ * Chord qualities by interval set above the root, most common first so a
+ * set two qualities share (C6 and Am7) goes to the earlier one when
+ * neither root is in the bass. Triads with a spoken quality are read as
+ * "G major"; the rest by symbol ("Cadd9"). Seventh chords also match
+ * without their fifth, which guitar voicings often drop.
+ * @type {Array<{intervals: number[], symbol: string, spoken?: string}>}
+ * @private
+ */
+const QUALITIES = [
+  { intervals: [0, 4, 7], symbol: '', spoken: 'major' },
+  { intervals: [0, 3, 7], symbol: 'm', spoken: 'minor' },
+  { intervals: [0, 7], symbol: '5', spoken: 'power chord' },
+  { intervals: [0, 4, 7, 10], symbol: '7' },
+  { intervals: [0, 3, 7, 10], symbol: 'm7' },
+  { intervals: [0, 4, 7, 11], symbol: 'maj7' },
+  { intervals: [0, 2, 7], symbol: 'sus2' },
+  { intervals: [0, 5, 7], symbol: 'sus4' },
+  { intervals: [0, 2, 4, 7], symbol: 'add9' },
+  { intervals: [0, 2, 3, 7], symbol: 'madd9' },
+  { intervals: [0, 4, 7, 9], symbol: '6' },
+  { intervals: [0, 3, 7, 9], symbol: 'm6' },
+  { intervals: [0, 5, 7, 10], symbol: '7sus4' },
+  { intervals: [0, 2, 4, 7, 10], symbol: '9' },
+  { intervals: [0, 2, 3, 7, 10], symbol: 'm9' },
+  { intervals: [0, 2, 4, 7, 11], symbol: 'maj9' },
+  { intervals: [0, 3, 6], symbol: 'dim', spoken: 'diminished' },
+  { intervals: [0, 4, 8], symbol: 'aug', spoken: 'augmented' },
+  { intervals: [0, 3, 6, 10], symbol: 'm7b5' },
+  { intervals: [0, 3, 6, 9], symbol: 'dim7' },
+  { intervals: [0, 3, 7, 11], symbol: 'mMaj7' },
+  { intervals: [0, 4, 10], symbol: '7' },
+  { intervals: [0, 3, 10], symbol: 'm7' },
+  { intervals: [0, 4, 11], symbol: 'maj7' }
+];
+
+/** Inversion names by the interval of the bass note above the root. */
+const INVERSIONS = {
+  3: 'first inversion',
+  4: 'first inversion',
+  6: 'second inversion',
+  7: 'second inversion',
+  8: 'second inversion',
+  9: 'third inversion',
+  10: 'third inversion',
+  11: 'third inversion'
+};
+
+/** Highest fret an open-position chord reaches. */
+const OPEN_POSITION_MAX_FRET = 4;
+
+/**
+ * Find the quality matching a set of pitch classes heard from a root.
+ * @param {number[]} classes - Distinct pitch classes
+ * @param {number} root - Candidate root pitch class
+ * @returns {Object|undefined} Entry from QUALITIES
+ * @private
+ */
+function qualityFrom(classes, root) {
+  const intervals = classes.map(pitchClass => (pitchClass - root + 12) % 12).sort((a, b) => a - b);
+  return QUALITIES.find(
+    quality =>
+      quality.intervals.length === intervals.length &&
+      quality.intervals.every((interval, index) => interval === intervals[index])
+  );
+}
+
+/**
+ * Name the chord a group of simultaneous notes sounds. The bass note is
+ * tried as the root first, so root-position readings win; otherwise the
+ * chord is named over its bass note as an inversion ("C/E").
+ * @param {Array<Object>} notes - Notes of one chord event; muted notes and
+ *   notes without a MIDI pitch are ignored
+ * @returns {{name: string, description: string}|null} Symbol name ("G",
+ *   "A5", "C/E") and spoken description ("G major, open position", "A5
+ *   power chord", "C major, first inversion"), or null when the pitches
+ *   are not a chord this knows
+ */
+export function recognizeChord(notes) {
+  const sounding = notes.filter(note => typeof note.midi === 'number');
+  const classes = [...new Set(sounding.map(note => note.midi % 12))];
+  if (classes.length < 2) return null;
+
+  const bass = Math.min(...sounding.map(note => note.midi)) % 12;
+  const readings = [bass, ...classes.filter(pitchClass => pitchClass !== bass)]
+    .map(root => ({ root, quality: qualityFrom(classes, root) }))
+    .filter(reading => reading.quality);
+  if (readings.length === 0) return null;
+
+  const rank = reading => QUALITIES.indexOf(reading.quality);
+  const { root, quality } =
+    readings[0].root === bass ? readings[0] : readings.sort((a, b) => rank(a) - rank(b))[0];
+  const rootName = NOTE_NAMES[root];
+  const symbol = rootName + quality.symbol;
+  let description = quality.spoken
+    ? `${quality.symbol === '5' ? symbol : rootName} ${quality.spoken}`
+    : symbol;
+
+  if (bass !== root) {
+    description += `, ${INVERSIONS[(bass - root + 12) % 12] || `${NOTE_NAMES[bass]} in the bass`}`;
+  }
+  const frets = sounding.map(note => note.fret).filter(fret => typeof fret === 'number');
+  if (frets.includes(0) && Math.max(...frets) <= OPEN_POSITION_MAX_FRET) {
+    description += ', open position';
+  }
+
+  return {
+    name: bass === root ? symbol : `${symbol}/${NOTE_NAMES[bass]}`,
+    description
+  };
+}
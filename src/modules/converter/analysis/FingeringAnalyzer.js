@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Works out how the fretting hand holds a chord shape: which
+ * finger goes on each string, whether the first finger lays across
+ * several strings as a barre, and whether the shape stretches wider than
+ * the four frets a hand covers. Works on chord chart frets and on the
+ * notes of chord events alike.
+ * @module converter/analysis/FingeringAnalyzer
+ */
+
+/** Frets one hand covers without stretching, a finger per fret. */
+const HAND_SPAN = 4;
+
+/**
+ * Give fingers to fretted strings, lowest fret first and low string first
+ * on a fret, keeping a finger per fret where there is room.
+ * @param {Array<{index: number, fret: number}>} fretted - Strings to finger
+ * @param {number} lowest - Lowest fret of the shape, played by finger 1
+ * @param {number} first - First finger free for these strings
+ * @returns {Map<number, number>|null} Finger by string index, or null when
+ *   four fingers are not enough
+ * @private
+ */
+function assignFingers(fretted, lowest, first) {
+  const fingers = new Map();
+  let finger = first - 1;
+  const ordered = [...fretted].sort((a, b) => a.fret - b.fret || a.index - b.index);
+  for (const { index, fret } of ordered) {
+    finger = Math.max(finger + 1, Math.min(fret - lowest + 1, HAND_SPAN));
+    if (finger > HAND_SPAN) return null;
+    fingers.set(index, finger);
+  }
+  return fingers;
+}
+
+/**
+ * Find a barre in a written fingering: one finger on two or more strings
+ * at the same fret. The lowest such fret wins.
+ * @param {Array<number|string>} frets - Frets or 'mute', low string first
+ * @param {Array<number|string|null>} fingers - Finger per string
+ * @returns {{finger: number, fret: number, from: number, to: number}|null}
+ *   Barre with the indexes of its lowest and highest string, or null
+ */
+export function findBarre(frets, fingers) {
+  let barre = null;
+  fingers.forEach((finger, index) => {
+    const fret = frets[index];
+    if (typeof finger !== 'number' || typeof fret !== 'number') return;
+    const strings = fingers
+      .map((other, at) => (other === finger && frets[at] === fret ? at : -1))
+      .filter(at => at >= 0);
+    if (strings.length < 2 || (barre && barre.fret <= fret)) return;
+    barre = { finger, fret, from: strings[0], to: strings[strings.length - 1] };
+  });
+  return barre;
+}
+
+/**
+ * Suggest a fingering for a chord shape. Each fretted string gets its own
+ * finger when four are enough; otherwise the first finger bars the lowest
+ * fret, from the lowest string on it to the highest, as long as every
+ * string in between is fretted (a barre would sound an open, muted or
+ * silent string), and the other fingers take the rest.
+ * @param {Array<number|string|null>} frets - Frets, 'mute', or null for a
+ *   string not played, low string first
+ * @returns {{fingers: Array<number|null>|null, barre: {finger: number,
+ *   fret: number, from: number, to: number}|null, stretch: {frets: number,
+ *   from: number, to: number}|null}} Finger per string (null on open and
+ *   muted strings; null as a whole when no fingering fits one hand), the
+ *   barre by string index, and a shape wider than four frets
+ */
+export function analyzeFingering(frets) {
+  const fretted = frets
+    .map((fret, index) => ({ index, fret }))
+    .filter(({ fret }) => typeof fret === 'number' && fret > 0);
+  if (fretted.length === 0) return { fingers: null, barre: null, stretch: null };
+
+  const lowest = Math.min(...fretted.map(({ fret }) => fret));
+  const highest = Math.max(...fretted.map(({ fret }) => fret));
+  const span = highest - lowest + 1;
+  const stretch = span > HAND_SPAN ? { frets: span, from: lowest, to: highest } : null;
+  const toList = map => frets.map((fret, index) => (map.has(index) ? map.get(index) : null));
+
+  const separate = assignFingers(fretted, lowest, 1);
+  if (separate) return { fingers: toList(separate), barre: null, stretch };
+
+  const onLowest = fretted.filter(({ fret }) => fret === lowest).map(({ index }) => index);
+  const from = onLowest[0];
+  const to = onLowest[onLowest.length - 1];
+  const gapInside = frets.some(
+    (fret, index) => index > from && index < to && !(typeof fret === 'number' && fret >= lowest)
+  );
+  if (onLowest.length >= 2 && !gapInside) {
+    const rest = assignFingers(
+      fretted.filter(({ index, fret }) => fret !== lowest || index < from || index > to),
+      lowest,
+      2
+    );
+    if (rest) {
+      for (let index = from; index <= to; index++) {
+        if (frets[index] === lowest) rest.set(index, 1);
+      }
+      return { fingers: toList(rest), barre: { finger: 1, fret: lowest, from, to }, stretch };
+    }
+  }
+
+  return { fingers: null, barre: null, stretch };
+}
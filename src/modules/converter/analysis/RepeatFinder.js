@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Finds measures and sections that repeat earlier ones note
+ * for note, so a riff played a dozen times can be spoken once and then
+ * referred back to ("Measures 5 to 8: same as measures 1 to 4"). Events
+ * are compared by what is played: strings, frets, techniques, durations
+ * and chord names, never by where they sit in the tab.
+ * @module converter/analysis/RepeatFinder
+ */
+
+/**
+ * Comparison key of one event: its notes and what is spoken with them,
+ * along with the text of spans (palm muting, let ring) starting on it.
+ * @param {Object} event - Event from a sequence
+ * @param {Array<Object>} [spans=[]] - Spans starting on the event
+ * @returns {string} Key equal for events played the same way
+ */
+export function eventSignature(event, spans = []) {
+  return JSON.stringify([
+    event.isRest ? 'rest' : event.isChord ? 'chord' : 'note',
+    event.isRest ? event.duration : event.chordName || null,
+    event.notes.map(note => [
+      note.string,
+      note.fret,
+      note.techniques,
+      (note.techniqueDetails || []).map(detail => detail.context),
+      note.duration || null,
+      note.estimate || null
+    ]),
+    spans.map(span => [span.context, span.endMeasure - span.startMeasure, span.eventCount])
+  ]);
+}
+
+/**
+ * Comparison keys of each measure of a sequence, built from the events
+ * given (the formatter passes those it speaks).
+ * @param {Array<Object>} events - Events with measure numbers, in order
+ * @param {Array<Object>} [spans=[]] - Spans of the sequence
+ * @returns {Map<number, string>} Key by measure number, in measure order
+ */
+export function measureSignatures(events, spans = []) {
+  const spansAt = new Map();
+  for (const span of spans) {
+    if (!spansAt.has(span.startPosition)) spansAt.set(span.startPosition, []);
+    spansAt.get(span.startPosition).push(span);
+  }
+
+  const byMeasure = new Map();
+  for (const event of events) {
+    if (!byMeasure.has(event.measure)) byMeasure.set(event.measure, []);
+    byMeasure.get(event.measure).push(eventSignature(event, spansAt.get(event.position)));
+  }
+  return new Map([...byMeasure.entries()].map(([measure, keys]) => [measure, keys.join('\n')]));
+}
+
+/**
+ * Find runs of measures that repeat earlier ones. A run points back to
+ * measures spoken in full: either a block of as many measures in the same
+ * order, or a single measure played over and over, whichever covers more.
+ * Measures left out of the keys (such as ones starting a repeat) break
+ * runs and are never collapsed.
+ * @param {Map<number, string>} signatures - Key by measure number, from
+ *   measureSignatures()
+ * @returns {Array<{from: number, to: number, sourceFrom: number,
+ *   sourceTo: number}>} Runs in order, with the measures they repeat
+ */
+export function findRepeatedMeasures(signatures) {
+  const measures = [...signatures.keys()].sort((a, b) => a - b);
+  const covered = new Set();
+  const runs = [];
+  // Measures from target and source on that match, with the source
+  // measures all spoken before target.
+  const runLength = (target, source) => {
+    let length = 0;
+    while (
+      source + length < target &&
+      !covered.has(source + length) &&
+      signatures.has(target + length) &&
+      signatures.get(target + length) === signatures.get(source + length)
+    ) {
+      length++;
+    }
+    return length;
+  };
+
+  measures.forEach((measure, index) => {
+    if (covered.has(measure)) return;
+    const key = signatures.get(measure);
+    const sources = measures
+      .slice(0, index)
+      .filter(earlier => !covered.has(earlier) && signatures.get(earlier) === key);
+    if (sources.length === 0) return;
+
+    let block = { source: sources[0], length: 0 };
+    for (const source of sources) {
+      const length = runLength(measure, source);
+      if (length > block.length) block = { source, length };
+    }
+    let same = 0;
+    while (signatures.get(measure + same) === key) same++;
+
+    const run =
+      same > block.length
+        ? { from: measure, to: measure + same - 1, sourceFrom: sources[0], sourceTo: sources[0] }
+        : {
+            from: measure,
+            to: measure + block.length - 1,
+            sourceFrom: block.source,
+            sourceTo: block.source + block.length - 1
+          };
+    for (let covers = run.from; covers <= run.to; covers++) covered.add(covers);
+    runs.push(run);
+  });
+
+  return runs;
+}
+
+/**
+ * Comparison key of a whole section: its string count, and the events
+ * given with their measure numbers, repeats, endings and spans.
+ * @param {Object} sequence - Note sequence
+ * @param {Array<Object>} events - Events of the sequence to compare
+ * @returns {string|null} Key equal for sections played the same way, or
+ *   null when there are no events
+ */
+export function sectionSignature(sequence, events) {
+  if (events.length === 0) return null;
+  const measures = measureSignatures(events, sequence.spans);
+  return JSON.stringify([
+    sequence.stringCount,
+    [...measures.entries()],
+    (sequence.repeats || []).map(repeat => [repeat.startMeasure, repeat.endMeasure, repeat.times]),
+    (sequence.endings || []).map(ending => [ending.number, ending.startMeasure])
+  ]);
+}
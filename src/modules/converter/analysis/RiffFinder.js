@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Finds riffs across a whole song: measures (or whole
+ * sections, in tabs without bar lines) that come back, played as written,
+ * moved up or down the neck, or with a few notes changed. Each riff heard
+ * more than once is named "Riff A", "Riff B" and so on in the order they
+ * first appear, so a listener gets the song's shape before its notes.
+ * @module converter/analysis/RiffFinder
+ */
+
+/** Fewest notes or chords a passage needs to count as a riff. */
+const MIN_EVENTS = 3;
+
+/** Share of a riff's notes or chords that may differ between occurrences. */
+const MAX_CHANGED = 0.25;
+
+/**
+ * Fret shift that turns one event into another: the same strings, each
+ * fretted note moved by the same number of frets and muted notes left
+ * muted.
+ * @param {Object} model - Event of the riff's first occurrence
+ * @param {Object} event - Event to compare
+ * @returns {number|null|undefined} The shift, undefined when any shift
+ *   fits (only muted notes), or null when the events differ
+ * @private
+ */
+function eventShift(model, event) {
+  if (model.notes.length !== event.notes.length) return null;
+  let shift;
+  for (let index = 0; index < model.notes.length; index++) {
+    const from = model.notes[index];
+    const to = event.notes[index];
+    if (from.stringIndex !== to.stringIndex) return null;
+    if (typeof from.fret !== 'number' || typeof to.fret !== 'number') {
+      if (from.fret !== to.fret) return null;
+      continue;
+    }
+    if (shift === undefined) shift = to.fret - from.fret;
+    if (to.fret - from.fret !== shift) return null;
+  }
+  return shift;
+}
+
+/**
+ * Compare a passage with a riff's first occurrence, event by event. The
+ * fret shift is the one most events agree on; events that do not follow
+ * it, or that one passage has and the other lacks, count as changed.
+ * @param {Array<Object>} model - Events of the riff's first occurrence
+ * @param {Array<Object>} events - Events of the passage
+ * @returns {{shift: number, changed: number[]}|null} Shift and the indexes
+ *   of changed events, or null when too much differs
+ * @private
+ */
+function comparePassages(model, events) {
+  const length = Math.max(model.length, events.length);
+  const shifts = model
+    .slice(0, events.length)
+    .map((event, index) => eventShift(event, events[index]));
+
+  const votes = new Map();
+  for (const shift of shifts) {
+    if (typeof shift === 'number') votes.set(shift, (votes.get(shift) || 0) + 1);
+  }
+  let shift = 0;
+  for (const [candidate, count] of votes) {
+    const best = votes.get(shift) || 0;
+    if (count > best || (count === best && Math.abs(candidate) < Math.abs(shift))) {
+      shift = candidate;
+    }
+  }
+
+  const changed = [];
+  for (let index = 0; index < length; index++) {
+    const fits = index < shifts.length && (shifts[index] === shift || shifts[index] === undefined);
+    if (!fits) changed.push(index);
+  }
+  if (changed.length > Math.floor(length * MAX_CHANGED)) return null;
+  if (length - changed.length < MIN_EVENTS) return null;
+  return { shift, changed };
+}
+
+/**
+ * Where the changed events of a passage sit: all in its second half,
+ * all in its first half, or spread out.
+ * @param {number[]} changed - Indexes of changed events
+ * @param {number} length - Events in the longer of the two passages
+ * @returns {'ending'|'start'|'notes'|null} Part that changed, or null
+ * @private
+ */
+function changedPart(changed, length) {
+  if (changed.length === 0) return null;
+  if (changed.every(index => index >= length / 2)) return 'ending';
+  if (changed.every(index => index < length / 2)) return 'start';
+  return 'notes';
+}
+
+/**
+ * Passages to compare: each measure of a sequence with measure bars, or
+ * the whole sequence without them. Rests are left out.
+ * @param {Array<Object>} sequences - Note sequences of the song
+ * @returns {Array<{sequence: number, section: number, measure: number|null,
+ *   events: Array<Object>}>} Passages in song order
+ * @private
+ */
+function passages(sequences) {
+  const found = [];
+  sequences.forEach((sequence, index) => {
+    const events = sequence.notes.filter(event => !event.isRest && event.notes.length > 0);
+    if (sequence.measureCount < 2) {
+      found.push({ sequence: index, section: sequence.section, measure: null, events });
+      return;
+    }
+    const byMeasure = new Map();
+    for (const event of events) {
+      if (!byMeasure.has(event.measure)) byMeasure.set(event.measure, []);
+      byMeasure.get(event.measure).push(event);
+    }
+    for (const [measure, measureEvents] of byMeasure) {
+      found.push({ sequence: index, section: sequence.section, measure, events: measureEvents });
+    }
+  });
+  return found.filter(passage => passage.events.length >= MIN_EVENTS);
+}
+
+/**
+ * Find the riffs of a song. Each passage joins the earlier riff it is
+ * closest to (fewest changed notes, then the smallest shift) or starts a
+ * new one; riffs heard only once are dropped.
+ * @param {Array<Object>} sequences - Note sequences of the song
+ * @returns {Array<{name: string, occurrences: Array<{sequence: number,
+ *   section: number, measure: number|null, shift: number, changed:
+ *   'ending'|'start'|'notes'|null}>}>} Riffs in order of first
+ *   appearance; the first occurrence is the one the others are compared
+ *   with. sequence is the index in sequences, measure null for a whole
+ *   section
+ */
+export function findRiffs(sequences) {
+  const candidates = [];
+  for (const passage of passages(sequences)) {
+    let best = null;
+    for (const candidate of candidates) {
+      const match = comparePassages(candidate.model, passage.events);
+      if (!match) continue;
+      const better =
+        !best ||
+        match.changed.length < best.match.changed.length ||
+        (match.changed.length === best.match.changed.length &&
+          Math.abs(match.shift) < Math.abs(best.match.shift));
+      if (better) best = { candidate, match };
+    }
+
+    const { sequence, section, measure } = passage;
+    if (best) {
+      const length = Math.max(best.candidate.model.length, passage.events.length);
+      best.candidate.occurrences.push({
+        sequence,
+        section,
+        measure,
+        shift: best.match.shift,
+        changed: changedPart(best.match.changed, length)
+      });
+    } else {
+      candidates.push({
+        model: passage.events,
+        occurrences: [{ sequence, section, measure, shift: 0, changed: null }]
+      });
+    }
+  }
+
+  return candidates
+    .filter(candidate => candidate.occurrences.length > 1)
+    .map((candidate, index) => ({
+      name: index < 26 ? String.fromCharCode(65 + index) : String(index + 1),
+      occurrences: candidate.occurrences
+    }));
+}
@@ -0,0 +1,418 @@
+/**
+ * @fileoverview Moves parsed tabs, chord charts and song sheets to another
+ * key or capo position. Notes keep their pitch plus the interval; a note
+ * that falls off its string (below the nut or past MAX_FRET) moves to a
+ * free string that can play it, and one no string can play is left out
+ * and reported. Chord names follow the frets, so with a capo they stay
+ * shape names as players write them.
+ * @module converter/analysis/Transposer
+ */
+
+import { MAX_FRET, PATTERNS } from '../../../utils/constants.js';
+import { getOrdinalSuffix } from '../../../utils/helpers.js';
+import { FLAT_NAMES, NOTE_NAMES, pitchClassOf } from '../../../utils/music.js';
+
+/** A chord name split into root, the rest, and an optional bass note. */
+const CHORD_PARTS = /^([A-G][#b]?)(.*?)(?:\/([A-G][#b]?))?$/;
+
+/** Describe a fret as spoken text ("open string" / "5th fret"). */
+function fretWord(fret) {
+  return fret === 0 ? 'open string' : `${fret}${getOrdinalSuffix(fret)} fret`;
+}
+
+/**
+ * Move a note name by semitones, keeping flat spellings flat.
+ * @param {string} name - Note name ("C#", "Bb")
+ * @param {number} semitones - Interval, negative for down
+ * @returns {string} Moved note name
+ * @private
+ */
+function transposeNote(name, semitones) {
+  const names = name.includes('b') ? FLAT_NAMES : NOTE_NAMES;
+  return names[(((pitchClassOf(name) + semitones) % 12) + 12) % 12];
+}
+
+/**
+ * Rename a chord by semitones: its root and any bass note move, the
+ * quality stays ("Am7/G" up 2 is "Bm7/A"). Names that are not chords
+ * come back unchanged.
+ * @param {string} name - Chord name
+ * @param {number} semitones - Interval, negative for down
+ * @returns {string} Renamed chord
+ */
+export function transposeChordName(name, semitones) {
+  const match = CHORD_PARTS.exec(name);
+  if (!match || semitones % 12 === 0) return name;
+  const [, root, rest, bass] = match;
+  return transposeNote(root, semitones) + rest + (bass ? '/' + transposeNote(bass, semitones) : '');
+}
+
+/**
+ * Rename every chord name in a line of text ("C  G  Am  F").
+ * @param {string} text - Text with chord names separated by spaces
+ * @param {number} semitones - Interval, negative for down
+ * @returns {string} Text with renamed chords
+ * @private
+ */
+function transposeChordLine(text, semitones) {
+  return text.replace(/\S+/g, word =>
+    PATTERNS.CHORD_NAME.test(word) ? transposeChordName(word, semitones) : word
+  );
+}
+
+/**
+ * Capo position to play at: the requested one, or the written one when
+ * none is requested.
+ * @param {{capo?: number}} options - Transpose options
+ * @param {number} writtenCapo - Capo the music was written for
+ * @returns {number} Capo fret, 0 for none
+ * @private
+ */
+function targetCapo(options, writtenCapo) {
+  return Number.isInteger(options.capo) && options.capo >= 0 ? options.capo : writtenCapo;
+}
+
+/**
+ * Rename the key of a "Key: G" line, keeping the label as written.
+ * @param {string} text - Line text
+ * @param {number} semitones - Interval the music moves by
+ * @returns {string} Text with the key moved, or as it was for other lines
+ * @private
+ */
+function transposeKeyLine(text, semitones) {
+  const key = /^(key\s*:\s*)(\S+)(.*)$/i.exec(text);
+  if (!key || !PATTERNS.CHORD_NAME.test(key[2])) return text;
+  return `${key[1]}${transposeChordName(key[2], semitones)}${key[3]}`;
+}
+
+/**
+ * Annotations describing a transposition, worded for the summary's
+ * instructions ("Transposed up 2 semitones", "Capo moved to the 2nd fret
+ * from the 5th"). Any annotation for the written capo is replaced, and
+ * "Key:" annotations and chord progressions are renamed.
+ * @param {Array<Object>} annotations - Annotations of the music
+ * @param {number} semitones - Interval the music moves by
+ * @param {number} writtenCapo - Capo the music was written for
+ * @param {number} capo - Capo it is now played with
+ * @returns {Array<Object>} New annotations
+ * @private
+ */
+function transposeAnnotations(annotations, semitones, writtenCapo, capo) {
+  const shapeShift = semitones + writtenCapo - capo;
+  const result = annotations
+    .filter(annotation => capo === writtenCapo || !/^Capo on /.test(annotation.text))
+    .map(annotation => {
+      if (annotation.category === 'chords') {
+        return { ...annotation, text: transposeChordLine(annotation.text, shapeShift) };
+      }
+      const text = transposeKeyLine(annotation.text, semitones);
+      return text === annotation.text ? annotation : { ...annotation, text };
+    });
+
+  const push = text => result.push({ text, lineNumber: 0, category: 'instruction' });
+  if (semitones !== 0) {
+    const size = Math.abs(semitones);
+    push(`Transposed ${semitones > 0 ? 'up' : 'down'} ${size} semitone${size === 1 ? '' : 's'}`);
+  }
+  if (capo !== writtenCapo) {
+    if (capo === 0) {
+      push(`Capo removed from the ${fretWord(writtenCapo)}`);
+    } else if (writtenCapo === 0) {
+      push(`Capo added on the ${fretWord(capo)}`);
+    } else {
+      const from = `${writtenCapo}${getOrdinalSuffix(writtenCapo)}`;
+      push(`Capo moved to the ${fretWord(capo)} from the ${from}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fret that plays a pitch on a string, or null when the string cannot.
+ * A string that starts partway up the neck (the banjo's drone) counts its
+ * frets from there.
+ * @param {{open: number, startFret: number}} string - String with its
+ *   sounding open pitch at the new capo
+ * @param {number} midi - Pitch to play
+ * @returns {number|null} Fret
+ * @private
+ */
+function fretFor(string, midi) {
+  const above = midi - string.open;
+  if (above < 0) return null;
+  const fret = above === 0 ? 0 : above + string.startFret;
+  return fret <= MAX_FRET ? fret : null;
+}
+
+/**
+ * Move a note's technique frets ("slide up to 7th fret") by the same
+ * amount the note moved.
+ * @param {Array<Object>} details - Technique details
+ * @param {number} delta - Frets the note moved by
+ * @returns {Array<Object>} Moved details
+ * @private
+ */
+function moveDetails(details, delta) {
+  if (!details || delta === 0) return details;
+  return details.map(detail => {
+    const moved = { ...detail };
+    for (const key of ['fromFret', 'toFret']) {
+      if (typeof detail[key] !== 'number') continue;
+      moved[key] = detail[key] + delta;
+      if (moved[key] >= 0) {
+        moved.context = moved.context.replace(fretWord(detail[key]), fretWord(moved[key]));
+      }
+    }
+    return moved;
+  });
+}
+
+/**
+ * Transpose one event. Notes that still fit their string stay on it;
+ * the rest go to the free string nearest the event's other frets.
+ * @param {Object} event - Event from a sequence
+ * @param {Array<Object>|null} strings - The sequence's strings at the new
+ *   capo, or null when their pitches are unknown
+ * @param {number} semitones - Interval the pitches move by
+ * @param {number} shapeShift - Frets a note on the same string moves by
+ * @param {Array<Object>} unplaced - Collects notes that fit no string
+ * @returns {Object} New event
+ * @private
+ */
+function transposeEvent(event, strings, semitones, shapeShift, unplaced) {
+  const placed = [];
+  const pending = [];
+
+  for (const note of event.notes) {
+    if (note.fret === 'mute') {
+      placed.push(note);
+      continue;
+    }
+    const string = strings && strings[note.stringIndex];
+    let fret = null;
+    if (typeof note.midi === 'number' && string && string.open !== null) {
+      fret = fretFor(string, note.midi + semitones);
+    } else if (!string || !string.startFret) {
+      fret = note.fret + shapeShift;
+      if (fret < 0 || fret > MAX_FRET) fret = null;
+    }
+    if (fret === null) {
+      pending.push(note);
+      continue;
+    }
+    placed.push({
+      ...note,
+      fret,
+      techniqueDetails: moveDetails(note.techniqueDetails, fret - note.fret),
+      ...(typeof note.midi === 'number' ? { midi: note.midi + semitones } : {})
+    });
+  }
+
+  for (const note of pending) {
+    const midi = typeof note.midi === 'number' ? note.midi + semitones : null;
+    const fretted = placed.filter(other => typeof other.fret === 'number' && other.fret > 0);
+    const near = fretted.length
+      ? fretted.reduce((sum, other) => sum + other.fret, 0) / fretted.length
+      : note.fret + shapeShift;
+    const taken = new Set(placed.map(other => other.stringIndex));
+    const candidates = midi === null || !strings
+      ? []
+      : strings
+          .map((string, index) => ({
+            index,
+            string,
+            fret: string.open === null || string.startFret ? null : fretFor(string, midi)
+          }))
+          .filter(({ index, fret }) => fret !== null && !taken.has(index))
+          .sort((a, b) => Math.abs(a.fret - near) - Math.abs(b.fret - near));
+
+    if (candidates.length === 0) {
+      unplaced.push(note);
+      continue;
+    }
+    const { index, string, fret } = candidates[0];
+    placed.push({
+      ...note,
+      string: string.name,
+      stringIndex: index,
+      fret,
+      midi,
+      techniqueDetails: moveDetails(note.techniqueDetails, fret - note.fret)
+    });
+  }
+
+  placed.sort((a, b) => a.stringIndex - b.stringIndex);
+  return { ...event, notes: placed, isChord: placed.length > 1 };
+}
+
+/**
+ * Transpose a parsed tab (from StandardTabParser or the Guitar Pro
+ * importer) by semitones and/or to another capo. The tab data passed in
+ * is left as it was.
+ * @param {Object} tabData - Parsed tab data; metadata.capo is the capo
+ *   it was written for
+ * @param {{semitones?: number, capo?: number}} options - Interval, and
+ *   the capo fret to play at (omit or -1 to keep the written one)
+ * @returns {{tabData: Object, unplaced: Array<Object>}} Transposed tab
+ *   data, and the original notes no string could play, left out
+ */
+export function transposeTabData(tabData, options) {
+  const semitones = options.semitones || 0;
+  const writtenCapo = (tabData.metadata && tabData.metadata.capo) || 0;
+  const capo = targetCapo(options, writtenCapo);
+  if (semitones === 0 && capo === writtenCapo) return { tabData, unplaced: [] };
+
+  const shapeShift = semitones + writtenCapo - capo;
+  const unplaced = [];
+  const sequences = tabData.sequences.map(sequence => {
+    const strings = sequence.strings
+      ? sequence.strings.map(string => ({
+          ...string,
+          open: string.open === null ? null : string.open - writtenCapo + capo
+        }))
+      : null;
+    const notes = sequence.notes
+      .map(event => {
+        if (event.isRest) return event;
+        const moved = transposeEvent(event, strings, semitones, shapeShift, unplaced);
+        if (moved.notes.length === 0) return null;
+        return event.chordName
+          ? { ...moved, chordName: transposeChordName(event.chordName, shapeShift) }
+          : moved;
+      })
+      .filter(Boolean);
+    return { ...sequence, strings, notes };
+  });
+
+  const annotations = transposeAnnotations(tabData.annotations || [], semitones, writtenCapo, capo);
+  if (unplaced.length > 0) {
+    const one = unplaced.length === 1;
+    annotations.push({
+      text:
+        `${unplaced.length} note${one ? '' : 's'} could not be placed after transposing ` +
+        `and ${one ? 'was' : 'were'} left out`,
+      lineNumber: 0,
+      category: 'instruction'
+    });
+  }
+
+  return {
+    tabData: {
+      ...tabData,
+      sequences,
+      annotations,
+      metadata: { ...tabData.metadata, capo }
+    },
+    unplaced
+  };
+}
+
+/**
+ * Transpose chord chart entries (frets listed low string first). Chords
+ * are shapes, so a shape pushed past the nut or the top of the neck moves
+ * an octave as a whole; a string still out of reach is muted and named
+ * in the returned annotations. A written fingering is kept while the
+ * shape stays the same.
+ * @param {Array<{name: string, frets: Array<number|string>,
+ *   stringCount: number, fingers?: Array}>} chords - Parsed chords
+ * @param {{semitones?: number, capo?: number}} options - As for
+ *   transposeTabData(); charts are read as written without a capo
+ * @returns {{chords: Array<Object>, annotations: Array<Object>}} Moved
+ *   chords and instructions describing the change
+ */
+export function transposeChords(chords, options) {
+  const semitones = options.semitones || 0;
+  const capo = targetCapo(options, 0);
+  if (semitones === 0 && capo === 0) return { chords, annotations: [] };
+
+  const shapeShift = semitones - capo;
+  const annotations = transposeAnnotations([], semitones, 0, capo);
+  const moved = chords.map(chord => {
+    let frets = chord.frets.map(fret => (fret === 'mute' ? fret : fret + shapeShift));
+    const played = frets.filter(fret => fret !== 'mute');
+    const octave = Math.min(...played) < 0 ? 12 : Math.max(...played) > MAX_FRET ? -12 : 0;
+    frets = frets.map(fret => (fret === 'mute' ? fret : fret + octave));
+
+    const name = transposeChordName(chord.name, shapeShift);
+    const lost = frets.filter(fret => fret !== 'mute' && (fret < 0 || fret > MAX_FRET)).length;
+    if (lost > 0) {
+      annotations.push({
+        text:
+          `${lost} string${lost === 1 ? '' : 's'} of the ${name} chord could not be placed ` +
+          `and ${lost === 1 ? 'is' : 'are'} muted`,
+        lineNumber: 0,
+        category: 'instruction'
+      });
+      frets = frets.map(fret => (fret !== 'mute' && (fret < 0 || fret > MAX_FRET) ? 'mute' : fret));
+    }
+    // A fingering still fits when no open string had to be fretted.
+    const { fingers, ...rest } = chord;
+    const sameShape = chord.frets.every((fret, index) => (fret === 0) === (frets[index] === 0));
+    return fingers && sameShape && lost === 0
+      ? { ...rest, name, frets, fingers }
+      : { ...rest, name, frets };
+  });
+
+  return { chords: moved, annotations };
+}
+
+/**
+ * Transpose a song sheet (from SongSheetParser or ChordProParser): chord
+ * names move with the capo as shapes, the key moves by semitones, and a
+ * written capo ("Capo: 3" or {capo: 3}) is rewritten for the new one.
+ * @param {Object} sheet - Parsed song sheet
+ * @param {{semitones?: number, capo?: number}} options - As for
+ *   transposeTabData()
+ * @returns {Object} New song sheet
+ */
+export function transposeSheet(sheet, options) {
+  const semitones = options.semitones || 0;
+  const directives = sheet.directives || [];
+  const capoDirective = directives.find(directive => directive.name === 'capo');
+  const capoNote = sheet.notes.find(note => /^capo\s*:?\s*\d+$/i.test(note));
+  const written = capoDirective ? capoDirective.value : capoNote ? capoNote.replace(/\D/g, '') : '';
+  const writtenCapo = parseInt(written, 10) || 0;
+  const capo = targetCapo(options, writtenCapo);
+  if (semitones === 0 && capo === writtenCapo) return sheet;
+
+  const shapeShift = semitones + writtenCapo - capo;
+  const sections = sheet.sections.map(section => ({
+    ...section,
+    lines: section.lines.map(line =>
+      line.segments
+        ? {
+            ...line,
+            segments: line.segments.map(segment => ({
+              ...segment,
+              chords: segment.chords.map(chord => transposeChordName(chord, shapeShift))
+            }))
+          }
+        : { ...line, note: transposeKeyLine(line.note, semitones) }
+    )
+  }));
+
+  const notes = sheet.notes
+    .map(note => {
+      if (note === capoNote) return capo ? `Capo: ${capo}` : null;
+      return transposeKeyLine(note, semitones);
+    })
+    .filter(note => note !== null);
+
+  const transposed = {
+    ...sheet,
+    notes,
+    sections,
+    annotations: transposeAnnotations(sheet.annotations || [], semitones, writtenCapo, capo)
+  };
+  if (sheet.directives) {
+    transposed.directives = directives
+      .map(directive => {
+        if (directive.name === 'key') {
+          return { ...directive, value: transposeChordName(directive.value, semitones) };
+        }
+        return directive.name === 'capo' ? { ...directive, value: String(capo) } : directive;
+      })
+      .filter(directive => directive.name !== 'capo' || capo > 0);
+  }
+  return transposed;
+}
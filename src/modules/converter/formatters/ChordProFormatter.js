@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Writes song sheets out as ChordPro, the interchange format
+ * of chord sheet apps: song details as directives, sections as
+ * environments, and chords in brackets before the words they are played
+ * on.
+ * @module converter/formatters/ChordProFormatter
+ */
+
+/**
+ * Headings written as ChordPro environments, by the word they start with.
+ * Other headings ("Intro", "Outro") go in a labeled verse, which
+ * ChordProParser reads back as a section with that heading.
+ */
+const ENVIRONMENTS = [
+  { pattern: /^chorus\b/i, name: 'chorus', label: 'Chorus' },
+  { pattern: /^verse\b/i, name: 'verse', label: 'Verse' },
+  { pattern: /^bridge\b/i, name: 'bridge', label: 'Bridge' }
+];
+
+/** Environment for headings not in ENVIRONMENTS. */
+const OTHER_ENVIRONMENT = { name: 'verse', label: 'Verse' };
+
+/** A song sheet note that is a song detail ("Capo: 3", "Key: G"). */
+const DETAIL_NOTE = /^(capo|key|tempo|time)\s*:\s*(.+)$/i;
+
+/**
+ * Class to write song sheets as ChordPro
+ */
+export class ChordProFormatter {
+  /**
+   * Write a parsed song sheet as ChordPro text.
+   * @param {{directives?: Array<{name: string, value: string}>, notes:
+   *   string[], sections: Array<Object>}} sheet - Song sheet from
+   *   SongSheetParser or ChordProParser
+   * @param {Object} [options] - Export options
+   * @param {string} [options.title] - Title to write when the sheet has
+   *   none of its own, such as the saved tab's name
+   * @returns {string} ChordPro text ending in a newline
+   */
+  format(sheet, options = {}) {
+    const directives = [...(sheet.directives || [])];
+    const comments = [];
+    for (const note of sheet.notes) {
+      const detail = DETAIL_NOTE.exec(note);
+      if (detail) {
+        directives.push({ name: detail[1].toLowerCase(), value: detail[2].trim() });
+      } else {
+        comments.push(note);
+      }
+    }
+    if (options.title && !directives.some(directive => directive.name === 'title')) {
+      directives.unshift({ name: 'title', value: options.title });
+    }
+
+    const blocks = [];
+    const header = [
+      ...directives.map(({ name, value }) => `{${name}: ${value}}`),
+      ...comments.map(comment => this.noteLine(comment))
+    ];
+    if (header.length > 0) blocks.push(header);
+
+    for (const section of sheet.sections) {
+      const environment = section.heading
+        ? ENVIRONMENTS.find(entry => entry.pattern.test(section.heading)) || OTHER_ENVIRONMENT
+        : null;
+      const body = section.lines.map(line =>
+        line.note ? this.noteLine(line.note) : this.chordLine(line.segments)
+      );
+
+      if (environment) {
+        const label = section.heading === environment.label ? '' : `: ${section.heading}`;
+        blocks.push([
+          `{start_of_${environment.name}${label}}`,
+          ...body,
+          `{end_of_${environment.name}}`
+        ]);
+      } else {
+        blocks.push(body);
+      }
+    }
+
+    return blocks.map(block => block.join('\n')).join('\n\n') + '\n';
+  }
+
+  /**
+   * Write a line's segments with each chord in brackets before its words.
+   * @param {Array<{chords: string[], text: string}>} segments - Segments
+   * @returns {string} ChordPro lyric line
+   * @private
+   */
+  chordLine(segments) {
+    return segments
+      .map(segment => segment.chords.map(chord => `[${chord}]`).join('') + segment.text)
+      .join(' ');
+  }
+
+  /**
+   * Write a note as a comment, or a repeat of the chorus as {chorus}.
+   * @param {string} note - Note text
+   * @returns {string} Directive line
+   * @private
+   */
+  noteLine(note) {
+    return /^repeat the chorus$/i.test(note) ? '{chorus}' : `{comment: ${note}}`;
+  }
+}
@@ -3,15 +3,17 @@
  * @module converter/formatters/OutputFormatter
  */
 
+import { TUNING_TEMPLATES } from '../../../utils/constants.js';
 import { getOrdinalSuffix } from '../../../utils/helpers.js';
-
-/** String names per chart size, listed LOW string first — the order chord
- * charts like "Am: X-0-2-2-1-0" are conventionally written in. */
-const CHART_STRING_NAMES = {
-  6: ['low E', 'A', 'D', 'G', 'B', 'high E'],
-  7: ['low B', 'low E', 'A', 'D', 'G', 'B', 'high E'],
-  8: ['F#', 'low B', 'low E', 'A', 'D', 'G', 'B', 'high E']
-};
+import { INSTRUMENTS, pitchName } from '../../../utils/music.js';
+import { recognizeChord } from '../analysis/ChordRecognizer.js';
+import { analyzeFingering, findBarre } from '../analysis/FingeringAnalyzer.js';
+import {
+  findRepeatedMeasures,
+  measureSignatures,
+  sectionSignature
+} from '../analysis/RepeatFinder.js';
+import { findRiffs } from '../analysis/RiffFinder.js';
 
 /**
  * Class to format parsed tab data into accessible text
@@ -20,41 +22,134 @@ export class OutputFormatter {
   /**
    * Format a chord chart into accessible text.
    * Fret lists are read low string first, matching how chord charts
-   * are written (X-0-2-2-1-0 mutes the low E, not the high E).
+   * are written (X-0-2-2-1-0 mutes the low E, not the high E). Fingers
+   * written with the chord, or else suggested from the shape, are spoken
+   * on each string, with any barre and a stretch wider than four frets.
    * @param {Array<Object>} chords - Parsed chords
-   * @param {Object} settings - Formatting settings
+   * @param {Object} settings - Formatting settings; the instrument names
+   *   the strings of 4- and 5-string charts
+   * @param {Array<Object>} [annotations=[]] - Instructions for the summary,
+   *   such as a transposition
    * @returns {string} Formatted chord chart
    */
-  formatChordChart(chords, settings) {
-    let output = 'Chord Chart:\n\n';
+  formatChordChart(chords, settings, annotations = []) {
+    const summary = settings.includeTiming ? this.summarizeAnnotations(annotations) : '';
+    let output = (summary ? summary + '\n\n' : '') + 'Chord Chart:\n\n';
 
     for (const chord of chords) {
       const stringCount = chord.frets.length;
-      const names = CHART_STRING_NAMES[stringCount];
-      output += `${chord.name} chord (${stringCount}-string):\n`;
+      const names = this.chartStringNames(stringCount, settings.instrument);
+      const stringName = i =>
+        settings.useStringNames && names ? names[i] : this.stringNumberLabel(stringCount - i);
+      // Fingers written with the chord win over suggested ones.
+      const analysis = analyzeFingering(chord.frets);
+      const fingers = chord.fingers || analysis.fingers;
+      const barre = chord.fingers ? findBarre(chord.frets, chord.fingers) : analysis.barre;
+      const suggested = !chord.fingers && analysis.fingers ? ', suggested fingering' : '';
+      output += `${chord.name} chord (${stringCount}-string${suggested}):\n`;
+
+      if (barre) {
+        // Number labels already end in "string".
+        const spoken = i =>
+          settings.useStringNames && names ? `${names[i]} string` : stringName(i);
+        const fret = this.fretLabel(barre.fret);
+        output +=
+          barre.from === 0 && barre.to === stringCount - 1
+            ? `- Barre with finger ${barre.finger} across all strings at the ${fret}\n`
+            : `- Barre with finger ${barre.finger} at the ${fret}, ` +
+              `from the ${spoken(barre.from)} to the ${spoken(barre.to)}\n`;
+      }
 
       for (let i = 0; i < stringCount; i++) {
-        const stringName = settings.useStringNames && names
-          ? names[i]
-          : this.stringNumberLabel(stringCount - i);
-
         const fret = chord.frets[i];
+        const finger = fingers ? fingers[i] : null;
+        const fingerText = finger === 'T' ? ', thumb' : finger ? `, finger ${finger}` : '';
 
         if (fret === 'mute') {
-          output += `- ${stringName}: muted\n`;
+          output += `- ${stringName(i)}: muted\n`;
         } else if (fret === 0) {
-          output += `- ${stringName}: open\n`;
+          output += `- ${stringName(i)}: open\n`;
         } else {
-          output += `- ${stringName}: ${fret}${getOrdinalSuffix(fret)} fret\n`;
+          output += `- ${stringName(i)}: ${fret}${getOrdinalSuffix(fret)} fret${fingerText}\n`;
         }
       }
 
+      const { stretch } = analysis;
+      if (stretch) {
+        output +=
+          `- Wide stretch: ${stretch.frets} frets, from the ${this.fretLabel(stretch.from)} ` +
+          `to the ${stretch.to}${getOrdinalSuffix(stretch.to)}\n`;
+      }
+      if (!fingers && chord.frets.some(fret => typeof fret === 'number' && fret > 0)) {
+        output += '- No fingering fits one hand\n';
+      }
+
       output += '\n';
     }
 
     return output.trim();
   }
 
+  /**
+   * String names for a chord chart, listed LOW string first — the order
+   * chord charts are conventionally written in. The instrument's names
+   * are used, and guitar and bass names for sizes it does not come in.
+   * @param {number} stringCount - Strings in the chart
+   * @param {string} instrument - Key of INSTRUMENTS
+   * @returns {string[]|null} Names, or null for unknown sizes
+   * @private
+   */
+  chartStringNames(stringCount, instrument) {
+    const profile = INSTRUMENTS[instrument] || INSTRUMENTS.guitar;
+    const names = profile.names[stringCount] || TUNING_TEMPLATES[stringCount];
+    return names ? [...names].reverse() : null;
+  }
+
+  /**
+   * Format a song sheet: each line spoken with its section and number,
+   * chords in brackets before the words they land on ("Verse 1, line 1:
+   * (C) I heard there (Am) was a secret chord"). Sections without a
+   * heading are numbered when there are several.
+   * @param {{annotations?: Array<Object>, notes: string[], sections:
+   *   Array<Object>}} sheet - Parsed song sheet from SongSheetParser or
+   *   ChordProParser
+   * @param {Object} settings - Formatting settings; the summary and notes
+   *   such as "Capo: 3" are left out without annotations
+   * @returns {string} Formatted song sheet
+   */
+  formatSongSheet(sheet, settings) {
+    const summary = settings.includeTiming ? this.summarizeAnnotations(sheet.annotations) : '';
+    let output = (summary ? summary + '\n\n' : '') + 'Song sheet:\n';
+    if (settings.includeTiming) {
+      for (const note of sheet.notes) {
+        output += `- ${note}\n`;
+      }
+    }
+
+    sheet.sections.forEach((section, index) => {
+      const name =
+        section.heading || (sheet.sections.length > 1 ? `Section ${index + 1}` : null);
+      output += '\n';
+      let number = 0;
+      for (const line of section.lines) {
+        if (line.note) {
+          if (settings.includeTiming) output += `Note: ${line.note}\n`;
+          continue;
+        }
+        number++;
+        const label = name ? `${name}, line ${number}` : `Line ${number}`;
+        const text = line.segments
+          .map(segment =>
+            [...segment.chords.map(chord => `(${chord})`), segment.text].filter(Boolean).join(' ')
+          )
+          .join(' ');
+        output += `${label}: ${text}\n`;
+      }
+    });
+
+    return output.trim();
+  }
+
   /**
    * Format tablature data into accessible text
    * @param {Object} tabData - Parsed tab data
@@ -62,48 +157,168 @@ export class OutputFormatter {
    * @returns {string} Formatted tablature
    */
   formatTablature(tabData, settings) {
+    return this.formatTablatureWithSourceMap(tabData, settings).output;
+  }
+
+  /**
+   * Format tablature data and map output lines back to the input lines
+   * they were built from. Only ASCII tabs carry source positions; Guitar
+   * Pro imports produce an empty map. With collapseRepeats on, a section
+   * played exactly like an earlier one is spoken as "Section 3 (Chorus):
+   * same as Section 2", mapped to where it is written in the tab. With
+   * identifyRiffs on, an overview of the song's riffs comes first and
+   * each occurrence is named in its measure or section header.
+   * @param {Object} tabData - Parsed tab data
+   * @param {Object} settings - Formatting settings
+   * @returns {{output: string, sourceMap: Array<{outputLine: number,
+   *   line: number, column: number}>}} Formatted tablature and 1-based
+   *   output line → input line/column entries, in output order
+   */
+  formatTablatureWithSourceMap(tabData, settings) {
     const { sequences, annotations } = tabData;
 
     if (sequences.length === 0) {
-      return 'No notes found in the tab. Please make sure your tab is properly formatted.';
+      return {
+        output: 'No notes found in the tab. Please make sure your tab is properly formatted.',
+        sourceMap: []
+      };
     }
 
     let output = '';
+    const sourceMap = [];
 
     const annotationSummary = this.summarizeAnnotations(annotations);
     if (annotationSummary && settings.includeTiming) {
       output += annotationSummary + '\n\n';
     }
 
-    for (const sequence of sequences) {
-      output += this.formatSequence(sequence, settings) + '\n';
+    // Riff labels by sequence index, then by measure (null for a section).
+    const riffLabels = sequences.map(() => new Map());
+    if (settings.identifyRiffs) {
+      const riffs = findRiffs(sequences);
+      if (riffs.length > 0) {
+        output += this.formatRiffOverview(riffs) + '\n\n';
+      }
+      for (const riff of riffs) {
+        for (const occurrence of riff.occurrences) {
+          riffLabels[occurrence.sequence].set(occurrence.measure, this.riffLabel(riff, occurrence));
+        }
+      }
     }
 
-    return output.trim();
+    // First section played each way, by comparison key.
+    const spokenSections = new Map();
+    sequences.forEach((sequence, index) => {
+      const offset = output.split('\n').length - 1;
+      const sources = [];
+      let sameAs = null;
+      if (settings.collapseRepeats) {
+        const key = sectionSignature(sequence, this.spokenEvents(sequence, settings));
+        sameAs = spokenSections.get(key) || null;
+        if (key && !sameAs) spokenSections.set(key, sequence);
+      }
+      const riffs = riffLabels[index];
+      output += this.formatSequence(sequence, settings, sources, { sameAs, riffs }) + '\n';
+      for (const { line, source } of sources) {
+        sourceMap.push({
+          outputLine: offset + line + 1,
+          line: source.lineNumber + 1,
+          column: source.column + 1
+        });
+      }
+    });
+
+    // Output starts with a heading, so trimming never shifts line numbers.
+    return { output: output.trim(), sourceMap };
   }
 
   /**
    * Format a single sequence of notes
    * @param {Object} sequence - Note sequence
    * @param {Object} settings - Formatting settings
+   * @param {Array<Object>} [sources] - Collects { line, source } for each
+   *   output line (0-based within the sequence) that has an input position
+   * @param {Object} [options] - Findings about the whole song
+   * @param {Object|null} [options.sameAs=null] - Earlier section played the
+   *   same way; only the heading and the lyrics are spoken
+   * @param {Map<number|null, string>} [options.riffs] - Riff labels by
+   *   measure, or under null for the whole section
    * @returns {string} Formatted sequence
    * @private
    */
-  formatSequence(sequence, settings) {
+  formatSequence(sequence, settings, sources = [], { sameAs = null, riffs = new Map() } = {}) {
     let header = `Section ${sequence.section}`;
     if (settings.includeTiming && sequence.heading) {
       header += ` (${sequence.heading})`;
     }
-    if (sequence.measureCount >= 2) {
+    if (riffs.has(null) && !sameAs) {
+      header += `, ${riffs.get(null)}`;
+    }
+    if (sequence.measureCount >= 2 && !sameAs) {
       header += `, ${sequence.measureCount} measures`;
     }
 
-    let output = header + ':\n';
+    let output = '';
+    let lineCount = 0;
+    // Append text, recording where its first non-blank line came from.
+    const emit = (text, source) => {
+      if (source && typeof source.lineNumber === 'number') {
+        sources.push({ line: lineCount + text.match(/^\n*/)[0].length, source });
+      }
+      output += text;
+      lineCount += text.split('\n').length - 1;
+    };
+
+    if (sameAs) {
+      emit(`${header}: same as Section ${sameAs.section}\n`, {
+        lineNumber: sequence.lineNumber,
+        column: 0
+      });
+      if (settings.includeTiming) {
+        for (const line of sequence.lyrics || []) emit(`- Lyrics: ${line.text}\n`, line);
+      }
+      return output;
+    }
+
+    emit(header + ':\n', { lineNumber: sequence.lineNumber, column: 0 });
+    if (settings.estimateRhythm && sequence.rhythmEstimated) {
+      emit('- Rhythm estimated from spacing, not written in the tab\n');
+    }
     const useMeasureHeaders = sequence.measureCount >= 2;
+    const markers = this.measureMarkers(sequence);
+    // Measures played like earlier ones, by the first measure of each run.
+    const repeats = new Map();
+    const collapsed = new Set();
+    if (useMeasureHeaders && settings.collapseRepeats) {
+      const signatures = measureSignatures(this.spokenEvents(sequence, settings), sequence.spans);
+      for (const measure of markers.keys()) signatures.delete(measure);
+      for (const run of findRepeatedMeasures(signatures)) {
+        repeats.set(run.from, run);
+        for (let measure = run.from; measure <= run.to; measure++) collapsed.add(measure);
+      }
+    }
+    const spanStarts = new Map();
+    for (const span of sequence.spans || []) {
+      if (!spanStarts.has(span.startPosition)) spanStarts.set(span.startPosition, []);
+      spanStarts.get(span.startPosition).push(span);
+    }
+    const showChordNames = settings.includeTiming;
+    // Words from a lyric line under the block, spoken after their measure.
+    const lyrics = new Map(
+      settings.includeTiming ? (sequence.lyrics || []).map(line => [line.measure, line]) : []
+    );
+    const sing = measure => {
+      if (lyrics.has(measure)) {
+        const line = lyrics.get(measure);
+        emit(`- Lyrics: ${line.text}\n`, line);
+      }
+    };
     let currentMeasure = 0;
+    // Chord name last spoken, so single notes only repeat it on a change.
+    let chordContext = null;
 
     for (const event of sequence.notes) {
-      // Rest events (Guitar Pro imports only) are spoken pauses; without
+      // Rest events (Guitar Pro imports and rhythm lines) are spoken pauses; without
       // durations enabled they carry no information, so skip them before
       // they can trigger a measure header.
       if (event.isRest && !settings.includeDurations) {
@@ -111,24 +326,167 @@ export class OutputFormatter {
       }
 
       if (useMeasureHeaders && event.measure !== currentMeasure) {
+        sing(currentMeasure);
         currentMeasure = event.measure;
-        output += `\nMeasure ${currentMeasure}:\n`;
+        if (repeats.has(currentMeasure)) {
+          emit(`\n${this.repeatedMeasuresLabel(repeats.get(currentMeasure))}\n`, event);
+        } else if (!collapsed.has(currentMeasure)) {
+          const labels = [...(markers.get(currentMeasure) || [])];
+          if (riffs.has(currentMeasure)) labels.push(riffs.get(currentMeasure));
+          const marker = labels.length > 0 ? ` (${labels.join(', ')})` : '';
+          emit(`\nMeasure ${currentMeasure}${marker}:\n`, event);
+        }
+        chordContext = null;
+      }
+      if (collapsed.has(event.measure)) {
+        continue;
+      }
+
+      if (settings.includeTechniqueDetails && spanStarts.has(event.position)) {
+        for (const span of spanStarts.get(event.position)) {
+          emit(this.formatSpan(span, useMeasureHeaders), event);
+        }
       }
 
       if (event.isRest) {
-        output += `- Rest, ${event.duration}\n`;
+        emit(`- Rest, ${event.duration}\n`, event);
       } else if (event.isChord) {
-        output += this.formatChord(event.notes, settings);
+        const name = showChordNames ? event.chordName : null;
+        emit(this.formatChord(event.notes, settings, name), event);
+        chordContext = name || chordContext;
       } else {
+        const over =
+          showChordNames && event.chordName && event.chordName !== chordContext
+            ? event.chordName
+            : null;
         for (const note of event.notes) {
-          output += this.formatNote(note, settings);
+          emit(this.formatNote(note, settings, over), note);
         }
+        chordContext = over || chordContext;
       }
     }
 
+    sing(useMeasureHeaders ? currentMeasure : 1);
     return output;
   }
 
+  /**
+   * Events a sequence speaks: rests are only spoken with durations on.
+   * @param {Object} sequence - Note sequence
+   * @param {Object} settings - Formatting settings
+   * @returns {Array<Object>} Events in order
+   * @private
+   */
+  spokenEvents(sequence, settings) {
+    return sequence.notes.filter(event => !event.isRest || settings.includeDurations);
+  }
+
+  /**
+   * Line standing in for measures that repeat earlier ones ("Measures 5
+   * to 8: same as measures 1 to 4", "Measure 3: same as measure 1").
+   * @param {{from: number, to: number, sourceFrom: number, sourceTo:
+   *   number}} run - Run from findRepeatedMeasures()
+   * @returns {string} Spoken line
+   * @private
+   */
+  repeatedMeasuresLabel({ from, to, sourceFrom, sourceTo }) {
+    const measures = (first, last, word) =>
+      first === last ? `${word} ${first}` : `${word}s ${first} to ${last}`;
+    return `${measures(from, to, 'Measure')}: same as ${measures(sourceFrom, sourceTo, 'measure')}`;
+  }
+
+  /**
+   * Name of one occurrence of a riff, with how it differs from the first
+   * ("Riff A, up 2 frets, ending changed").
+   * @param {Object} riff - Riff from findRiffs()
+   * @param {Object} occurrence - One of its occurrences
+   * @returns {string} Spoken label
+   * @private
+   */
+  riffLabel(riff, occurrence) {
+    const parts = [`Riff ${riff.name}`];
+    if (occurrence.shift !== 0) {
+      const frets = Math.abs(occurrence.shift);
+      const direction = occurrence.shift > 0 ? 'up' : 'down';
+      parts.push(`${direction} ${frets} ${frets === 1 ? 'fret' : 'frets'}`);
+    }
+    if (occurrence.changed === 'notes') {
+      parts.push('some notes changed');
+    } else if (occurrence.changed) {
+      parts.push(`${occurrence.changed} changed`);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Overview of the song's riffs, one line each: where it is first played
+   * and every place it comes back ("- Riff A, first in Section 1 measure
+   * 1, comes back 2 times: Section 1 measure 3; Section 2 measure 1, up 2
+   * frets").
+   * @param {Array<Object>} riffs - Riffs from findRiffs()
+   * @returns {string} Overview
+   * @private
+   */
+  formatRiffOverview(riffs) {
+    const place = ({ section, measure }) =>
+      measure === null ? `Section ${section}` : `Section ${section} measure ${measure}`;
+    const lines = riffs.map(riff => {
+      const [first, ...later] = riff.occurrences;
+      const times = later.length === 1 ? 'once' : `${later.length} times`;
+      const where = later.map(occurrence => {
+        const label = this.riffLabel(riff, occurrence).replace(`Riff ${riff.name}`, '');
+        return place(occurrence) + label;
+      });
+      const comesBack = `comes back ${times}: ${where.join('; ')}`;
+      return `- Riff ${riff.name}, first in ${place(first)}, ${comesBack}`;
+    });
+    return `Riffs:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Inline markers for measure headers: where repeats begin and end and
+   * where each volta ending starts. Only ASCII tabs carry these spans.
+   * @param {Object} sequence - Note sequence
+   * @returns {Map<number, string[]>} Marker texts by measure number
+   * @private
+   */
+  measureMarkers(sequence) {
+    const markers = new Map();
+    const add = (measure, text) => {
+      if (!markers.has(measure)) markers.set(measure, []);
+      markers.get(measure).push(text);
+    };
+
+    for (const repeat of sequence.repeats || []) {
+      add(repeat.startMeasure, 'repeat begins');
+      add(repeat.endMeasure, `repeat ends, play ${repeat.times} times`);
+    }
+    for (const ending of sequence.endings || []) {
+      add(ending.startMeasure, `${ending.number}${getOrdinalSuffix(ending.number)} ending`);
+    }
+
+    return markers;
+  }
+
+  /**
+   * Describe a palm-mute or let-ring span once, before its first note
+   * ("- Palm muted from measure 2 to measure 3").
+   * @param {Object} span - Span from the parser
+   * @param {boolean} useMeasureHeaders - Whether the section has measures
+   * @returns {string} Span line
+   * @private
+   */
+  formatSpan(span, useMeasureHeaders) {
+    const what = span.context.charAt(0).toUpperCase() + span.context.slice(1);
+    if (useMeasureHeaders && span.startMeasure !== span.endMeasure) {
+      return `- ${what} from measure ${span.startMeasure} to measure ${span.endMeasure}\n`;
+    }
+    if (span.eventCount === 1) {
+      return `- ${what} for the next note\n`;
+    }
+    return `- ${what} for the next ${span.eventCount} notes\n`;
+  }
+
   /**
    * Ordinal spoken label for a 1-based string number ("3rd string" —
    * screen readers speak it as "third string", matching how frets are
@@ -169,21 +527,60 @@ export class OutputFormatter {
     return `${fret}${getOrdinalSuffix(fret)} fret`;
   }
 
+  /**
+   * Sounding pitch of a note ("E4", "Eb4" for notes of a tuning written
+   * with flats), or null when note names are off or the note has no pitch
+   * (muted notes).
+   * @param {Object} note - Note that may carry a MIDI pitch
+   * @param {Object} settings - Formatting settings
+   * @returns {string|null} Pitch name
+   * @private
+   */
+  pitchLabel(note, settings) {
+    if (!settings.includeNoteNames || typeof note.midi !== 'number') {
+      return null;
+    }
+    return pitchName(note.midi, note.flats);
+  }
+
   /**
    * Duration suffix for a note (", eighth note"), or an empty string.
-   * Only Guitar Pro imports set note durations; ASCII tabs never do.
+   * Guitar Pro imports always set note durations; ASCII tabs only when a
+   * rhythm line sits above the string block.
    * @param {Object} note - Note that may carry a duration
    * @param {Object} settings - Formatting settings
    * @returns {string} Duration text
    * @private
    */
   durationLabel(note, settings) {
+    if (settings.estimateRhythm && note.estimate) {
+      return this.estimateLabel(note.estimate);
+    }
     if (!settings.includeDurations || !note.duration) {
       return '';
     }
     return `, ${note.duration}`;
   }
 
+  /**
+   * Suffix for rhythm estimated from spacing (", estimated eighth note,
+   * quick pair with the next note"). Always says "estimated" or describes
+   * spacing, so it is never mistaken for a written rhythm.
+   * @param {{duration?: string, spacing?: string}} estimate - Estimate
+   *   from the parser
+   * @returns {string} Estimate text
+   * @private
+   */
+  estimateLabel(estimate) {
+    let text = estimate.duration ? `, estimated ${estimate.duration}` : '';
+    if (estimate.spacing === 'quick pair') {
+      text += ', quick pair with the next note';
+    } else if (estimate.spacing === 'long gap') {
+      text += ', long gap after';
+    }
+    return text;
+  }
+
   /**
    * Technique suffix for a note, or an empty string.
    * @param {Object} note - Note with techniques and details
@@ -196,29 +593,45 @@ export class OutputFormatter {
       return '';
     }
 
+    // Techniques from span lines (palm mute, let ring) are described once
+    // per span by formatSpan(); their display names equal their types.
+    const details = (note.techniqueDetails || []).filter(detail => !detail.span);
+    const spanTypes = new Set(
+      (note.techniqueDetails || []).filter(detail => detail.span).map(detail => detail.type)
+    );
+    const techniques = note.techniques.filter(name => !spanTypes.has(name));
+    if (techniques.length === 0) {
+      return '';
+    }
+
     if (settings.verboseMode) {
-      const contexts = (note.techniqueDetails && note.techniqueDetails.length > 0
-        ? note.techniqueDetails.map(detail => detail.context || detail.type)
-        : note.techniques
+      const contexts = (details.length > 0
+        ? details.map(detail => detail.context || detail.type)
+        : techniques
       ).filter(Boolean);
       return ` (${contexts.join(', ')})`;
     }
 
-    return ` ${note.techniques.join('+')}`;
+    return ` ${techniques.join('+')}`;
   }
 
   /**
    * Format a single note
    * @param {Object} note - Note to format
    * @param {Object} settings - Formatting settings
+   * @param {string|null} [overChord] - Chord name from a chord-name line,
+   *   spoken as ", over G chord" when the chord changes
    * @returns {string} Formatted note line
    * @private
    */
-  formatNote(note, settings) {
+  formatNote(note, settings, overChord = null) {
+    const pitch = this.pitchLabel(note, settings);
     return (
       `- ${this.stringLabel(note, settings)}, ${this.fretLabel(note.fret)}` +
+      (pitch ? `, ${pitch}` : '') +
       this.durationLabel(note, settings) +
       this.techniqueLabel(note, settings) +
+      (overChord ? `, over ${overChord} chord` : '') +
       '\n'
     );
   }
@@ -227,21 +640,37 @@ export class OutputFormatter {
    * Format a chord (multiple simultaneous notes)
    * @param {Array<Object>} notes - Notes in the chord, high string first
    * @param {Object} settings - Formatting settings
+   * @param {string|null} [name] - Chord name from a chord-name line
    * @returns {string} Formatted chord line
    * @private
    */
-  formatChord(notes, settings) {
-    let chordDesc = '- Chord: ';
+  formatChord(notes, settings, name = null) {
+    let chordDesc = name ? `- Chord ${name}: ` : '- Chord: ';
+    // A written chord name wins; otherwise name the shape from its pitches.
+    const recognized = !name && settings.identifyChords ? recognizeChord(notes) : null;
+    if (recognized) {
+      chordDesc = settings.verboseMode
+        ? `- Chord, ${recognized.description}: `
+        : `- Chord ${recognized.name}: `;
+    }
 
     if (settings.verboseMode) {
       chordDesc += notes
-        .map(note => `${this.stringLabel(note, settings)} ${this.fretLabel(note.fret)}`)
+        .map(note => {
+          const pitch = this.pitchLabel(note, settings);
+          return `${this.stringLabel(note, settings)} ${this.fretLabel(note.fret)}` +
+            (pitch ? ` (${pitch})` : '');
+        })
         .join(', ');
     } else {
       const fretPattern = notes
         .map(note => (note.fret === 'mute' ? 'x' : note.fret))
         .join('-');
       chordDesc += `(${fretPattern})`;
+      const pitches = notes.map(note => this.pitchLabel(note, settings)).filter(Boolean);
+      if (pitches.length > 0) {
+        chordDesc += `, notes ${pitches.join(' ')}`;
+      }
     }
 
     // All notes of a chord share their beat's duration; read the first.
@@ -260,11 +689,77 @@ export class OutputFormatter {
       if (techniqueTexts.length > 0) {
         chordDesc += ` with ${techniqueTexts.join(', ')}`;
       }
+      chordDesc += this.fingeringLabel(notes, settings);
     }
 
     return chordDesc + '\n';
   }
 
+  /**
+   * Suffix describing how to finger a chord shape of three or more fretted
+   * notes: "; fingering: barre with finger 1 at the 1st fret from the low
+   * E string to the high E string, finger 2 on the G string" in verbose
+   * mode, "; fingers 1-1-2-4-3-1, barre at 1st fret" in compact mode, in
+   * the order the fret pattern is read. Strings between the chord's notes
+   * that are not played are passed on as such, so no barre crosses them.
+   * @param {Array<Object>} notes - Notes in the chord, high string first
+   * @param {Object} settings - Formatting settings
+   * @returns {string} Fingering suffix, or '' for smaller shapes
+   * @private
+   */
+  fingeringLabel(notes, settings) {
+    if (notes.filter(note => typeof note.fret === 'number' && note.fret > 0).length < 3) {
+      return '';
+    }
+    // Every string from the lowest played to the highest, low string first.
+    const highest = Math.min(...notes.map(note => note.stringIndex));
+    const lowest = Math.max(...notes.map(note => note.stringIndex));
+    const lowFirst = [];
+    for (let index = lowest; index >= highest; index--) {
+      lowFirst.push(notes.find(note => note.stringIndex === index) || null);
+    }
+    const { fingers, barre, stretch } = analyzeFingering(
+      lowFirst.map(note => (note ? note.fret : null))
+    );
+    const parts = [];
+
+    if (settings.verboseMode) {
+      if (barre) {
+        parts.push(
+          `barre with finger 1 at the ${this.fretLabel(barre.fret)} from the ` +
+            `${this.stringLabel(lowFirst[barre.from], settings)} to the ` +
+            `${this.stringLabel(lowFirst[barre.to], settings)}`
+        );
+      }
+      if (fingers) {
+        lowFirst
+          .map((note, index) => ({ note, finger: fingers[index] }))
+          .filter(({ note, finger }) => note && finger && !(barre && finger === barre.finger))
+          .sort((a, b) => a.finger - b.finger)
+          .forEach(({ note, finger }) => {
+            parts.push(`finger ${finger} on the ${this.stringLabel(note, settings)}`);
+          });
+      } else {
+        parts.push('no fingering fits one hand');
+      }
+      if (stretch) parts.push(`a wide stretch of ${stretch.frets} frets`);
+      return `; fingering: ${parts.join(', ')}`;
+    }
+
+    if (fingers) {
+      const pattern = notes.map(note => {
+        if (note.fret === 'mute') return 'x';
+        return fingers[lowFirst.indexOf(note)] || 0;
+      });
+      parts.push(`fingers ${pattern.join('-')}`);
+    } else {
+      parts.push('no fingering fits one hand');
+    }
+    if (barre) parts.push(`barre at ${this.fretLabel(barre.fret)}`);
+    if (stretch) parts.push(`stretch of ${stretch.frets} frets`);
+    return `; ${parts.join(', ')}`;
+  }
+
   /**
    * Summarize annotations by category
    * @param {Array<Object>} annotations - All annotations
@@ -291,6 +786,14 @@ export class OutputFormatter {
       summary += `\n- Song: ${categories.song.join(', ')}`;
     }
 
+    if (categories.instrument) {
+      summary += `\n- Instrument: ${categories.instrument.join(', ')}`;
+    }
+
+    if (categories.part) {
+      summary += `\n- Part: ${categories.part.join(', ')}`;
+    }
+
     if (categories.section) {
       summary += `\n- Sections: ${categories.section.join(', ')}`;
     }
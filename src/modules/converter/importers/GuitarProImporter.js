@@ -12,24 +12,9 @@
  */
 
 import * as alphaTab from '@coderline/alphatab';
-import { TUNING_TEMPLATES, MAX_FRET } from '../../../utils/constants.js';
+import { MAX_FRET } from '../../../utils/constants.js';
 import { getOrdinalSuffix } from '../../../utils/helpers.js';
-
-const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-
-/**
- * Standard tunings as pitch classes (MIDI % 12), highest string first.
- * Compared by pitch class because alphaTab stores written octaves that vary
- * by source format (a GP5 file and an alphaTex tuning differ by an octave).
- * @type {Object<number, number[]>}
- */
-const STANDARD_TUNING_CLASSES = {
-  4: [7, 2, 9, 4], // G D A E bass
-  5: [7, 2, 9, 4, 11], // G D A E B bass
-  6: [4, 11, 7, 2, 9, 4], // E B G D A E
-  7: [4, 11, 7, 2, 9, 4, 11],
-  8: [4, 11, 7, 2, 9, 4, 11, 6]
-};
+import { soundingTuning, tuningStringNames } from '../../../utils/music.js';
 
 /** Spoken words for alphaTab's Duration enum values. */
 const DURATION_WORDS = new Map([
@@ -121,44 +106,6 @@ export function describeScore(score) {
   };
 }
 
-/**
- * Display names for each string, highest first, following the same rules as
- * the ASCII parser's stringName(): standard tunings use TUNING_TEMPLATES,
- * duplicated letters get low/high qualifiers (drop D → "low D").
- * @param {number[]} tuning - MIDI values, index 0 = highest string
- * @returns {{names: string[], letters: string[], isStandard: boolean}} Names
- */
-function stringNames(tuning) {
-  const count = tuning.length;
-  const classes = tuning.map(midi => midi % 12);
-  const letters = classes.map(pitchClass => NOTE_NAMES[pitchClass]);
-  const standard = STANDARD_TUNING_CLASSES[count];
-
-  if (standard && TUNING_TEMPLATES[count] && classes.every((c, i) => c === standard[i])) {
-    return { names: TUNING_TEMPLATES[count], letters, isStandard: true };
-  }
-
-  const counts = {};
-  for (const letter of letters) {
-    counts[letter] = (counts[letter] || 0) + 1;
-  }
-
-  const names = letters.map((letter, index) => {
-    if (counts[letter] > 1) {
-      if (letters.lastIndexOf(letter) === index) return `low ${letter}`;
-      if (letters.indexOf(letter) === index && letter === 'E') return 'high E';
-      return letter;
-    }
-    if (letter === 'E') {
-      if (index === 0) return 'high E';
-      if (index === count - 1) return 'low E';
-    }
-    return letter;
-  });
-
-  return { names, letters, isStandard: false };
-}
-
 /**
  * Spoken duration of a beat ("eighth note", "dotted quarter rest",
  * "eighth note triplet").
@@ -284,6 +231,10 @@ function mapTechniques(note, beat) {
     add('vibrato', 'vibrato', 'vibrato');
   }
 
+  if (note.isTrill) {
+    add('trill', 'trill', `trill with ${fretWord(note.trillFret)}`, { toFret: note.trillFret });
+  }
+
   if (note.isGhost) {
     add('ghost note', 'ghost note', 'ghost note, played softly');
   }
@@ -344,9 +295,11 @@ function mapTechniques(note, beat) {
  * @param {Object} beat - Owning alphaTab Beat
  * @param {number} stringCount - Strings on the staff
  * @param {string[]} names - Display names, index 0 = highest string
+ * @param {number[]} openPitches - Sounding MIDI pitch of each open string
+ *   with the capo on, index 0 = highest string
  * @returns {Object|null} App note
  */
-function mapNote(note, beat, stringCount, names) {
+function mapNote(note, beat, stringCount, names, openPitches) {
   // alphaTab counts note.string from 1 = LOWEST string, while staff.tuning
   // (and our stringIndex) start at the highest string — see alphaTab
   // Staff.ts: "The first item is the most top tablature line". Do not
@@ -376,7 +329,8 @@ function mapNote(note, beat, stringCount, names) {
     techniques,
     techniqueDetails,
     duration: spokenDuration(beat, false),
-    position: beat.absoluteDisplayStart
+    position: beat.absoluteDisplayStart,
+    ...(fret === 'mute' ? {} : { midi: openPitches[stringIndex] + fret })
   };
 }
 
@@ -466,7 +420,8 @@ function buildAnnotations(score, staff, letters, isStandard) {
  * Convert one track of a score into the app's tab model.
  * @param {Object} score - alphaTab Score
  * @param {number} trackIndex - Index into score.tracks
- * @returns {{sequences: Array<Object>, annotations: Array<Object>}} Tab data
+ * @returns {{sequences: Array<Object>, annotations: Array<Object>,
+ *   metadata: {capo: number}}} Tab data
  * @throws {Error} When the track has no stringed staff
  */
 export function trackToTabData(score, trackIndex) {
@@ -477,7 +432,10 @@ export function trackToTabData(score, trackIndex) {
   }
 
   const stringCount = staff.tuning.length;
-  const { names, letters, isStandard } = stringNames(staff.tuning);
+  const { names, letters, isStandard } = tuningStringNames(staff.tuning);
+  // Frets are written relative to the capo, as in the ASCII tabs.
+  const openPitches = soundingTuning(staff.tuning).map(midi => midi + (staff.capo || 0));
+  const strings = names.map((name, index) => ({ name, open: openPitches[index], startFret: 0 }));
 
   const sequences = [];
   const annotations = buildAnnotations(score, staff, letters, isStandard);
@@ -494,6 +452,7 @@ export function trackToTabData(score, trackIndex) {
         heading,
         measureCount: 0,
         stringCount,
+        strings,
         notes: []
       };
       sequences.push(current);
@@ -525,7 +484,7 @@ export function trackToTabData(score, trackIndex) {
           continue;
         }
         for (const note of beat.notes) {
-          const mapped = mapNote(note, beat, stringCount, names);
+          const mapped = mapNote(note, beat, stringCount, names, openPitches);
           if (mapped) {
             entry.notes.push(mapped);
           }
@@ -559,5 +518,5 @@ export function trackToTabData(score, trackIndex) {
     }
   }
 
-  return { sequences, annotations };
+  return { sequences, annotations, metadata: { capo: staff.capo || 0 } };
 }
@@ -4,7 +4,7 @@
  */
 
 import { PATTERNS } from '../../../utils/constants.js';
-import { isValidChord } from '../../../utils/validators.js';
+import { diagramLineKind, isValidChord, splitStringLabel } from '../../../utils/validators.js';
 
 /**
  * Class to parse chord chart format tabs
@@ -30,8 +30,9 @@ export class ChordParser {
 
   /**
    * Parse a single chord line
-   * @param {string} line - Chord line (e.g., "F: 1-3-3-2-1-1")
-   * @returns {Object|null} Parsed chord object or null
+   * @param {string} line - Chord line (e.g., "F: 1-3-3-2-1-1", "C x32010 / 032010")
+   * @returns {Object|null} Parsed chord object or null; chords written with
+   *   a fingering carry it as fingers, one per string
    * @private
    */
   parseChordLine(line) {
@@ -39,38 +40,69 @@ export class ChordParser {
     
     if (!match) return null;
     
-    const chordName = match[1];
-    const fretString = match[2];
+    const [, chordName, spacedFrets, otherFrets, fingering] = match;
     
     // Parse fret positions
-    const frets = this.parseFretPositions(fretString);
+    const frets = this.parseFretPositions(spacedFrets || otherFrets);
     
-    // Validate we have 6, 7, or 8 positions
+    // Validate we have 4 to 8 positions
     if (!isValidChord(frets)) {
       return null;
     }
     
-    return {
+    const chord = {
       name: chordName,
       frets: frets,
       stringCount: frets.length
     };
+    const fingers = fingering ? this.parseFingering(fingering, frets) : null;
+    if (fingers) {
+      chord.fingers = fingers;
+    }
+    return chord;
   }
 
   /**
    * Parse fret positions from a string
-   * @param {string} fretString - String of fret positions (e.g., "1-3-3-2-1-1")
+   * @param {string} fretString - String of fret positions: dashed
+   *   ("1-3-3-2-1-1"), spaced ("x 3 2 0 1 0") or one character a fret with
+   *   high frets in brackets ("x32010", "x(10)(12)")
    * @returns {Array} Array of fret positions
    * @private
    */
   parseFretPositions(fretString) {
-    return fretString.split('-').map(f => {
+    const tokens = fretString.includes('-')
+      ? fretString.split('-')
+      : /\s/.test(fretString)
+        ? fretString.split(/\s+/)
+        : fretString.match(/\(\d{1,2}\)|./g);
+    return tokens.map(f => {
       if (f.toUpperCase() === 'X') return 'mute';
-      const num = parseInt(f);
+      const num = parseInt(f.replace(/[()]/g, ''));
       return isNaN(num) ? 'mute' : num;
     });
   }
 
+  /**
+   * Parse a fingering written after the frets ("032010", "x-3-2-0-1-0"):
+   * finger numbers 1 to 4 and T for the thumb, one per string.
+   * @param {string} fingering - Fingering text
+   * @param {Array} frets - Parsed fret positions
+   * @returns {Array<number|string|null>|null} Finger per string (null on
+   *   open and muted strings), or null when the count does not match the
+   *   frets
+   * @private
+   */
+  parseFingering(fingering, frets) {
+    const marks = fingering.replace(/[-\s]/g, '').toUpperCase().split('');
+    if (marks.length !== frets.length) return null;
+    return marks.map((mark, index) => {
+      if (typeof frets[index] !== 'number' || frets[index] === 0) return null;
+      if (mark === 'T') return 'T';
+      return mark === 'X' || mark === '0' ? null : Number(mark);
+    });
+  }
+
   /**
    * Extract chord progressions from text
    * @param {string[]} lines - Lines of text
@@ -103,91 +135,120 @@ export class ChordParser {
   }
 
   /**
-   * Detect chord diagram format (ASCII art style)
+   * Parse chord diagrams: a chord name alone on its line, then either short
+   * labeled string lines or a fret grid drawn with the low string on the
+   * left. Lines that are neither (titles, prose) are skipped.
+   *
+   *   C             C
+   *   e|---0---     x     o   o
+   *   B|---1---     |-|-|-|-|-|
+   *   G|---0---     | | | | o |
+   *   D|---2---     |-|-|-|-|-|
+   *   A|---3---     | | o | | |
+   *   E|---x---     |-|-|-|-|-|
+   *                 | o | | | |
+   *
    * @param {string[]} lines - Lines of text
-   * @returns {Array<Object>} Parsed chord diagrams
+   * @returns {Array<Object>} Parsed chords, frets low string first as in
+   *   parseChordChart()
    */
   parseChordDiagrams(lines) {
     const diagrams = [];
-    
-    // Look for patterns like:
-    // C
-    // e|---0---
-    // B|---1---
-    // G|---0---
-    // D|---2---
-    // A|---3---
-    // E|-------
-    
-    let currentChord = null;
-    let stringData = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Check if this is a chord name line
-      if (line.length <= 5 && /^[A-G][#b]?[\w]*$/.test(line)) {
-        // Save previous chord if exists
-        if (currentChord && stringData.length === 6) {
-          diagrams.push({
-            name: currentChord,
-            frets: this.extractFretsFromDiagram(stringData)
-          });
-        }
-        
-        currentChord = line;
-        stringData = [];
+    let name = null;
+    let block = [];
+
+    const save = () => {
+      const frets = name && block.length ? this.extractFrets(block) : null;
+      if (isValidChord(frets)) {
+        diagrams.push({ name, frets, stringCount: frets.length });
       }
-      // Check if this is a string line
-      else if (/^[eEbBgGdDaA]\s*\|/.test(line)) {
-        stringData.push(line);
+      block = [];
+    };
+
+    for (const line of lines) {
+      if (PATTERNS.CHORD_NAME.test(line.trim())) {
+        save();
+        name = line.trim();
+      } else if (diagramLineKind(line)) {
+        block.push(line.trimEnd());
       }
     }
-    
-    // Don't forget the last chord
-    if (currentChord && stringData.length === 6) {
-      diagrams.push({
-        name: currentChord,
-        frets: this.extractFretsFromDiagram(stringData)
-      });
-    }
-    
+    save();
+
     return diagrams;
   }
 
   /**
-   * Extract fret numbers from chord diagram lines
+   * Read one diagram's lines as string lines or as a grid.
+   * @param {string[]} block - Diagram lines under a chord name
+   * @returns {Array|null} Fret positions, low string first, or null for a
+   *   block mixing the two kinds
+   * @private
+   */
+  extractFrets(block) {
+    const kinds = block.map(line => diagramLineKind(line));
+    if (kinds.every(kind => kind === 'string')) return this.extractFretsFromDiagram(block);
+    if (!kinds.includes('string')) return this.extractFretsFromGrid(block);
+    return null;
+  }
+
+  /**
+   * Extract fret numbers from chord diagram string lines. Each line holds
+   * one fret, "x" or nothing; a line with nothing on it is not played.
+   * Lines are read in the order written, highest string first unless the
+   * labels run from "E" at the top to "e" at the bottom.
    * @param {string[]} stringLines - Lines representing strings
-   * @returns {Array} Fret positions
+   * @returns {Array} Fret positions, low string first
    * @private
    */
   extractFretsFromDiagram(stringLines) {
-    const frets = [];
-    
-    // Process in order from high E to low E
-    const stringOrder = ['e', 'B', 'G', 'D', 'A', 'E'];
-    
-    for (const stringName of stringOrder) {
-      const line = stringLines.find(l => 
-        l.toLowerCase().startsWith(stringName.toLowerCase())
-      );
-      
-      if (line) {
-        // Extract numbers from the line
-        const match = line.match(/\|[^\|]*?(\d+|x|X|-)/);
-        if (match) {
-          const fret = match[1];
-          if (fret === '-' || fret === 'x' || fret === 'X') {
-            frets.push('mute');
-          } else {
-            frets.push(parseInt(fret));
-          }
-        } else {
-          frets.push('mute');
-        }
-      }
+    const labeled = stringLines.map(line => splitStringLabel(line));
+    const frets = labeled.map(({ body }) => {
+      const match = body.match(/\d+|[xXoO]/);
+      if (!match || /[xX]/.test(match[0])) return 'mute';
+      return /[oO]/.test(match[0]) ? 0 : Number(match[0]);
+    });
+
+    const lowFirst = labeled[0].label === 'E' && labeled[labeled.length - 1].label === 'e';
+    return lowFirst ? frets : frets.reverse();
+  }
+
+  /**
+   * Extract fret numbers from a grid diagram. Bar lines mark the strings,
+   * low string on the left; rows between fret wires ("|-|-|-|") are frets,
+   * counted from 1 or from a "5fr" label, and any other mark on a string
+   * frets it. Unfretted strings read from the "x"/"o" row above the grid;
+   * without one they are open.
+   * @param {string[]} lines - Marker and grid lines
+   * @returns {Array} Fret positions, low string first
+   * @private
+   */
+  extractFretsFromGrid(lines) {
+    const rows = lines
+      .filter(line => diagramLineKind(line) === 'grid')
+      .map(line => line.replace(/\s+\d+\s*fr\.?$/i, ''));
+    const markers = lines.find(line => diagramLineKind(line) === 'marker');
+    const position = lines.map(line => /(\d+)\s*fr\.?$/i.exec(line)).find(Boolean);
+    const base = position ? Number(position[1]) : 1;
+
+    const columns = new Set();
+    for (const row of rows) {
+      [...row].forEach((char, index) => char === '|' && columns.add(index));
     }
-    
-    return frets;
+    const isWire = row => !/[^\s|=_+-]/.test(row);
+    const fretRows = rows.filter(row => row.includes('|') && !isWire(row));
+
+    return [...columns]
+      .sort((a, b) => a - b)
+      .map(column => {
+        let fret = null;
+        fretRows.forEach((row, index) => {
+          if (/[^\s|=_+-]/.test(row[column] || '')) fret = base + index;
+        });
+        if (fret !== null) return fret;
+
+        const marker = markers ? markers[column] || ' ' : 'o';
+        return /[oO]/.test(marker) ? 0 : 'mute';
+      });
   }
 }
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Parser for ChordPro song files: directives in braces
+ * ("{title: Hallelujah}", "{start_of_chorus}") and chords in brackets
+ * before the syllable they are played on ("[C]I heard there [Am]was").
+ * Produces the same sections and lines as SongSheetParser, so both are
+ * spoken by OutputFormatter.formatSongSheet, plus the annotations its
+ * summary reads and the directives needed to write the song back out.
+ * @module converter/parsers/ChordProParser
+ */
+
+import { CHORDPRO_DIRECTIVES, PATTERNS } from '../../../utils/constants.js';
+import { getOrdinalSuffix } from '../../../utils/helpers.js';
+import { SongSheetParser } from './SongSheetParser.js';
+
+/** Section names for environments opened without a label. */
+const ENVIRONMENT_NAMES = {
+  start_of_chorus: 'Chorus',
+  start_of_verse: 'Verse',
+  start_of_bridge: 'Bridge'
+};
+
+/** Song details kept as directives for writing the file back out. */
+const DETAIL_DIRECTIVES = new Set([
+  'title', 'subtitle', 'artist', 'composer', 'album', 'year', 'key', 'capo', 'tempo', 'time',
+  'duration'
+]);
+
+/**
+ * Class to parse ChordPro song files
+ */
+export class ChordProParser {
+  /**
+   * Create a ChordProParser instance
+   */
+  constructor() {
+    this.songSheetParser = new SongSheetParser();
+  }
+
+  /**
+   * Parse ChordPro text into a song sheet.
+   * @param {string[]} lines - Lines of text
+   * @returns {{directives: Array<{name: string, value: string}>,
+   *   annotations: Array<Object>, notes: string[], sections: Array<Object>}}
+   *   Song details in file order, annotations (song, section, timing,
+   *   instruction), and notes and sections shaped as
+   *   SongSheetParser.parse() returns them
+   * @throws {Error} If the file has no chord or lyric lines
+   */
+  parse(lines) {
+    const directives = [];
+    const notes = [];
+    const sections = [];
+    let current = null;
+    let skipped = null;
+
+    // Notes above the first section describe the song; later ones outside
+    // an environment start a section without a heading, as lyrics do.
+    const addNote = (note, lineNumber) => {
+      if (!current && sections.length === 0) {
+        notes.push(note);
+        return;
+      }
+      if (!current) {
+        current = { heading: null, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push({ lineNumber, note });
+    };
+
+    lines.forEach((line, lineNumber) => {
+      const directive = this.readDirective(line);
+
+      if (skipped) {
+        if (directive && directive.name === skipped.end) {
+          addNote(
+            `${skipped.kind} on lines ${skipped.start + 1} to ${lineNumber + 1} left out; convert it on its own`,
+            skipped.start
+          );
+          skipped = null;
+        }
+        return;
+      }
+
+      if (directive) {
+        const { name, value } = directive;
+        if (DETAIL_DIRECTIVES.has(name)) {
+          directives.push({ name, value });
+        } else if (name === 'comment' && value) {
+          addNote(value, lineNumber);
+        } else if (name === 'chorus') {
+          addNote(`Repeat the ${value || 'chorus'}`, lineNumber);
+        } else if (name === 'start_of_tab' || name === 'start_of_grid') {
+          skipped = {
+            kind: name === 'start_of_tab' ? 'Tab' : 'Chord grid',
+            end: name.replace('start_of_', 'end_of_'),
+            start: lineNumber
+          };
+        } else if (name.startsWith('start_of_')) {
+          current = { heading: value || ENVIRONMENT_NAMES[name], lines: [] };
+          sections.push(current);
+        } else if (name.startsWith('end_of_')) {
+          current = null;
+        }
+        return;
+      }
+
+      if (!line.trim() || line.trim().startsWith('#')) return;
+
+      if (!current) {
+        current = { heading: null, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push({ lineNumber, segments: this.readChordLine(line) });
+    });
+
+    if (skipped) {
+      addNote(`${skipped.kind} from line ${skipped.start + 1} left out; convert it on its own`, skipped.start);
+    }
+    if (!sections.some(section => section.lines.some(line => line.segments))) {
+      throw new Error('No chord or lyric lines found in the ChordPro file.');
+    }
+
+    return {
+      directives,
+      annotations: this.buildAnnotations(directives, sections),
+      notes,
+      sections
+    };
+  }
+
+  /**
+   * Read a directive line, resolving short forms ("soc") and "{meta: artist
+   * X}" to the directive they stand for.
+   * @param {string} line - Line of text
+   * @returns {{name: string, value: string}|null} Directive, or null for
+   *   other lines and unknown directives
+   * @private
+   */
+  readDirective(line) {
+    const match = PATTERNS.CHORDPRO_DIRECTIVE.exec(line);
+    if (!match) return null;
+
+    let name = CHORDPRO_DIRECTIVES[match[1].toLowerCase()];
+    let value = match[2];
+    if (name === 'meta') {
+      const [key = '', ...rest] = value.split(/\s+/);
+      name = CHORDPRO_DIRECTIVES[key.toLowerCase()];
+      value = rest.join(' ');
+    }
+    return name ? { name, value } : null;
+  }
+
+  /**
+   * Split a lyric line with bracketed chords into segments. The chords
+   * are taken out and placed by column, so a chord inside a word
+   * ("Halle[F]lujah") moves to the word's start as on a song sheet.
+   * @param {string} line - Line with chords in brackets
+   * @returns {Array<{chords: string[], text: string}>} Segments
+   * @private
+   */
+  readChordLine(line) {
+    const chords = [];
+    let lyric = '';
+    let last = 0;
+    for (const match of line.matchAll(/\[([^\]]*)\]/g)) {
+      lyric += line.slice(last, match.index);
+      if (match[1].trim()) chords.push({ column: lyric.length, name: match[1].trim() });
+      last = match.index + match[0].length;
+    }
+    lyric += line.slice(last);
+
+    if (chords.length === 0) return [{ chords: [], text: lyric.trim() }];
+    return this.songSheetParser.pairChords(chords, lyric);
+  }
+
+  /**
+   * Build the annotations OutputFormatter.summarizeAnnotations() reads:
+   * title and artist as the song, section names, tempo and time as
+   * timing, capo and key as instructions.
+   * @param {Array<{name: string, value: string}>} directives - Song details
+   * @param {Array<Object>} sections - Parsed sections
+   * @returns {Array<Object>} Annotations
+   * @private
+   */
+  buildAnnotations(directives, sections) {
+    const annotations = [];
+    const push = (text, category) => annotations.push({ text, lineNumber: 0, category });
+    const detail = name => {
+      const found = directives.find(directive => directive.name === name);
+      return found ? found.value : '';
+    };
+
+    const title = detail('title');
+    const artist = detail('artist');
+    if (title && artist) {
+      push(`"${title}" by ${artist}`, 'song');
+    } else if (title) {
+      push(`"${title}"`, 'song');
+    } else if (artist) {
+      push(`by ${artist}`, 'song');
+    }
+
+    for (const section of sections) {
+      if (section.heading) push(section.heading, 'section');
+    }
+
+    const tempo = parseInt(detail('tempo'), 10);
+    if (tempo) push(`Tempo: ${tempo} BPM`, 'timing');
+    if (detail('time')) push(`Time signature: ${detail('time')}`, 'timing');
+
+    const capo = parseInt(detail('capo'), 10);
+    if (capo) push(`Capo on ${capo}${getOrdinalSuffix(capo)} fret`, 'instruction');
+    if (detail('key')) push(`Key: ${detail('key')}`, 'instruction');
+
+    return annotations;
+  }
+}
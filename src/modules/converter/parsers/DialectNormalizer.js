@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Rewrites tab dialects the parser does not read into the
+ * dash-and-letter form it does: numbered string labels (1| to 6|),
+ * box-drawing characters and frets separated by spaces. Rewrites keep the
+ * line count and every column, so diagnostics and the source map still
+ * point into the pasted text.
+ * @module converter/parsers/DialectNormalizer
+ */
+
+import { PATTERNS } from '../../../utils/constants.js';
+import { isMusicContent } from '../../../utils/validators.js';
+
+/** Box-drawing characters read as dashes. */
+const BOX_DASHES = /[─━═╌╍┄┅┈┉]/g;
+
+/** Box-drawing characters read as bar lines. */
+const BOX_BARS = /[│┃║┼╋╪╫╬├┤┝┥┠┨╟╢╞╡┬┴┯┷╤╧]/g;
+
+/** Corners only appear on a frame's top and bottom edges. */
+const BOX_CORNERS = /[┌┐└┘╭╮╯╰╔╗╚╝]/;
+
+/** A numbered string label: "1|", "6 |", "3:". */
+const NUMBERED_LABEL = /^(\s*)([1-8])(\s{0,2}[:|])/;
+
+/**
+ * Optional letter label and separator, then a body of frets, mutes, bar
+ * lines and technique letters separated by spaces, with no dashes.
+ */
+const SPACED_LINE = /^(\s*)(?:([A-Ga-g][#b]?)(\s*[:|]{0,2}))?(\s*[0-9xX|hpbr/\\~][\s0-9xX|hpbr/\\~]*)$/;
+
+/**
+ * Class to rewrite tab dialects into the form StandardTabParser reads
+ */
+export class DialectNormalizer {
+  /**
+   * Rewrite every dialect found and describe each rewrite as an info
+   * diagnostic naming the lines it touched.
+   * @param {string} text - Tab text with normalized line endings
+   * @returns {{text: string, diagnostics: Array<{severity: string,
+   *   message: string, line: number, column: number}>, lowFirstLines:
+   *   number[]}} Rewritten text, 1-based diagnostics (one per rewritten run
+   *   of lines), and the 0-based lines of blocks numbered from the bottom,
+   *   which the parser reads low string first
+   */
+  normalize(text) {
+    const lines = text.split('\n');
+    const diagnostics = [];
+    const lowFirstLines = [];
+    const note = (runs, describe) => {
+      for (const run of runs) {
+        diagnostics.push({
+          severity: 'info',
+          message: describe(run, this.where(run)),
+          line: run.start + 1,
+          column: 1
+        });
+      }
+    };
+
+    note(this.rewriteBoxDrawing(lines), (run, where) =>
+      `Box-drawing characters ${where} were read as dashes and bar lines`
+    );
+    const numbered = this.rewriteNumberedLabels(lines);
+    for (const run of numbered.filter(run => run.lowFirst)) {
+      for (let index = run.start; index <= run.end; index++) lowFirstLines.push(index);
+    }
+    note(numbered, (run, where) =>
+      run.lowFirst
+        ? `Numbered string labels ${where} were read low string first, with string 1 at the bottom`
+        : `Numbered string labels ${where} were read with string 1 as the highest string`
+    );
+    note(this.rewriteSpacedFrets(lines), (run, where) =>
+      `Frets separated by spaces ${where} were read as if joined by dashes`
+    );
+
+    return { text: lines.join('\n'), diagnostics, lowFirstLines };
+  }
+
+  /**
+   * Spoken line range of a run ("on line 3", "on lines 3 to 8").
+   * @param {{start: number, end: number}} run - 0-based line range
+   * @returns {string} Line range
+   * @private
+   */
+  where(run) {
+    return run.start === run.end
+      ? `on line ${run.start + 1}`
+      : `on lines ${run.start + 1} to ${run.end + 1}`;
+  }
+
+  /**
+   * Group matching line indexes into runs of consecutive lines.
+   * @param {number[]} indexes - Ascending 0-based line indexes
+   * @returns {Array<{start: number, end: number}>} Runs
+   * @private
+   */
+  runsOf(indexes) {
+    const runs = [];
+    for (const index of indexes) {
+      const last = runs[runs.length - 1];
+      if (last && last.end === index - 1) {
+        last.end = index;
+      } else {
+        runs.push({ start: index, end: index });
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Replace box-drawing lines and junctions with dashes and bar lines, and
+   * blank out a frame's top and bottom edges.
+   * @param {string[]} lines - Lines, rewritten in place
+   * @returns {Array<{start: number, end: number}>} Rewritten runs
+   * @private
+   */
+  rewriteBoxDrawing(lines) {
+    const touched = [];
+    lines.forEach((line, index) => {
+      if (!/[─-╿]/.test(line)) return;
+      touched.push(index);
+      lines[index] =
+        BOX_CORNERS.test(line) && !/\d/.test(line)
+          ? ''
+          : line.replace(BOX_DASHES, '-').replace(BOX_BARS, '|');
+    });
+    return this.runsOf(touched);
+  }
+
+  /**
+   * Blank out numbered string labels, so strings take their names from a
+   * declared tuning or the instrument's standard one. Runs numbered from
+   * the bottom are marked lowFirst for the parser to flip: letters alone
+   * cannot say which way up a 4- or 5-string block is.
+   * @param {string[]} lines - Lines, rewritten in place
+   * @returns {Array<{start: number, end: number, lowFirst: boolean}>}
+   *   Rewritten runs
+   * @private
+   */
+  rewriteNumberedLabels(lines) {
+    const numbered = lines
+      .map((line, index) => {
+        const match = NUMBERED_LABEL.exec(line);
+        if (!match) return -1;
+        const body = line.slice(match[0].length);
+        return isMusicContent(body) || this.isSpacedLine(body) ? index : -1;
+      })
+      .filter(index => index >= 0);
+    const number = index => Number(NUMBERED_LABEL.exec(lines[index])[2]);
+
+    const runs = [];
+    for (const run of this.runsOf(numbered)) {
+      const numbers = [];
+      for (let index = run.start; index <= run.end; index++) numbers.push(number(index));
+      const count = numbers.length;
+      const ascending = numbers.every((n, i) => n === i + 1);
+      const descending = numbers.every((n, i) => n === count - i);
+      if (count < 2 || (!ascending && !descending)) continue;
+
+      for (let index = run.start; index <= run.end; index++) {
+        lines[index] = lines[index].replace(NUMBERED_LABEL, '$1 $3');
+      }
+      runs.push({ ...run, lowFirst: !ascending });
+    }
+    return runs;
+  }
+
+  /**
+   * Join frets written with spaces instead of dashes. Only runs of three or
+   * more such lines count, so a stray "A 3 4" in the prose stays as it is,
+   * and runs that are all chord chart lines ("C: x 3 2 0 1 0") are left
+   * for ChordParser.
+   * @param {string[]} lines - Lines, rewritten in place
+   * @returns {Array<{start: number, end: number}>} Rewritten runs
+   * @private
+   */
+  rewriteSpacedFrets(lines) {
+    const spaced = lines
+      .map((line, index) => (this.isSpacedLine(line) ? index : -1))
+      .filter(index => index >= 0);
+
+    const isChart = run =>
+      lines.slice(run.start, run.end + 1).every(line => PATTERNS.CHORD_LINE.test(line.trim()));
+    const runs = this.runsOf(spaced).filter(run => run.end - run.start >= 2 && !isChart(run));
+    for (const run of runs) {
+      for (let index = run.start; index <= run.end; index++) {
+        const [, indent, label = '', gap = '', body] = SPACED_LINE.exec(lines[index].trimEnd());
+        // A label with no separator takes a bar line in its first space.
+        const separator =
+          label && !/[:|]/.test(gap) ? '|' + gap.slice(1).replace(/ /g, '-') : gap.replace(/ /g, '-');
+        lines[index] = indent + label + separator + body.replace(/\s/g, '-');
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Whether a line is frets separated by spaces: two or more fret or mute
+   * groups with whitespace between them and no dashes anywhere.
+   * @param {string} line - Line to check
+   * @returns {boolean} True for a space-separated string line
+   * @private
+   */
+  isSpacedLine(line) {
+    const match = SPACED_LINE.exec(line.trimEnd());
+    if (!match || line.includes('-')) return false;
+    const [, , label, gap = '', body] = match;
+    // "A 3" is a label and a fret; "A3" could be anything.
+    if (label && !/^\s|[:|]/.test(gap + body)) return false;
+    return (body.match(/[0-9xX]+/g) || []).length >= 2 && /\d/.test(body);
+  }
+}
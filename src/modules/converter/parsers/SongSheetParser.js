@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Parser for chords-over-lyrics song sheets: a line of chord
+ * names, then the words they are played over, with each chord placed by
+ * its column above the lyric. Section headings ("Verse 1", "[Chorus]") are
+ * found the same way as above tab blocks, by StandardTabParser.findHeading.
+ * @module converter/parsers/SongSheetParser
+ */
+
+import { isChordNamesLine } from '../../../utils/validators.js';
+import { StandardTabParser } from './StandardTabParser.js';
+
+/** A "Label: value" line such as "Capo: 3" or "Key: G". */
+const LABEL_LINE = /^[\w ]+:\s/;
+
+/**
+ * Class to parse chords-over-lyrics song sheets
+ */
+export class SongSheetParser {
+  /**
+   * Create a SongSheetParser instance
+   */
+  constructor() {
+    this.tabParser = new StandardTabParser();
+  }
+
+  /**
+   * Parse a song sheet into sections of lines, each line split into
+   * segments that start where a chord lands.
+   * @param {string[]} lines - Lines of text, blank lines kept
+   * @returns {{notes: string[], sections: Array<{heading: string|null,
+   *   lines: Array<{lineNumber: number, segments?: Array<{chords:
+   *   string[], text: string}>, note?: string}>}>}} Notes above the first
+   *   sung line, and sections in order; lines hold segments or a note
+   * @throws {Error} If no chord or lyric lines are found
+   */
+  parse(lines) {
+    const classified = this.classifyLines(lines);
+    const isSung = entry => entry.type === 'chords' || (entry.lyric && !entry.pairedLyric);
+
+    // Headings first, so a heading line is never also read as a note.
+    const headings = new Map();
+    classified.forEach((entry, index) => {
+      if (!isSung(entry)) return;
+      const heading = this.tabParser.findHeading(classified, index);
+      if (heading !== null) {
+        headings.set(index, heading);
+        this.markHeading(classified, index);
+      }
+    });
+
+    const notes = [];
+    const sections = [];
+    let current = null;
+    classified.forEach((entry, index) => {
+      if (entry.type === 'blank' || entry.heading || entry.pairedLyric) return;
+
+      if (!isSung(entry)) {
+        if (current) {
+          current.lines.push({ lineNumber: entry.lineNumber, note: entry.text });
+        } else {
+          notes.push(entry.text);
+        }
+        return;
+      }
+
+      if (headings.has(index) || !current) {
+        current = { heading: headings.get(index) || null, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push({
+        lineNumber: entry.lineNumber,
+        segments:
+          entry.type === 'chords'
+            ? this.pairChords(entry.chords, entry.lyrics ? entry.lyrics.raw : '')
+            : [{ chords: [], text: entry.text }]
+      });
+    });
+
+    if (sections.length === 0) {
+      throw new Error('No chord or lyric lines found in the song sheet.');
+    }
+
+    return { notes, sections };
+  }
+
+  /**
+   * Classify each line as blank, chord names or other text, and mark the
+   * text lines that are lyrics: any line right below a chord line or
+   * another lyric line, unless it names a section or is an instruction
+   * such as "(repeat x2)". Lyric lines are marked
+   * attached, so findHeading() does not take them for headings.
+   * @param {string[]} lines - Lines of text
+   * @returns {Array<Object>} Classified lines
+   * @private
+   */
+  classifyLines(lines) {
+    const classified = lines.map((line, lineNumber) => {
+      const text = line.trim();
+      if (!text) return { type: 'blank', lineNumber };
+      if (isChordNamesLine(text)) {
+        return { type: 'chords', chords: this.readChords(line), lineNumber };
+      }
+      return { type: 'annotation', text, raw: line, lineNumber };
+    });
+
+    classified.forEach((entry, index) => {
+      const above = classified[index - 1];
+      if (entry.type !== 'annotation' || !above) return;
+      if (above.type !== 'chords' && !above.lyric) return;
+      const category = this.tabParser.annotationCategory(entry.text);
+      if (category !== 'note' && category !== 'lyrics') return;
+      if (above.type !== 'chords' && LABEL_LINE.test(entry.text)) return;
+
+      entry.lyric = true;
+      entry.attached = true;
+      if (above.type === 'chords') {
+        above.lyrics = entry;
+        entry.pairedLyric = true;
+      }
+    });
+
+    // "Capo: 3" and "Key: G" are notes, never headings.
+    for (const entry of classified) {
+      if (entry.type === 'annotation' && !entry.lyric && LABEL_LINE.test(entry.text)) {
+        entry.metadata = { label: true };
+      }
+    }
+
+    return classified;
+  }
+
+  /**
+   * Read the chord names of a chord line with their raw columns, leaving
+   * out bar lines and slashes.
+   * @param {string} line - Chord line, leading whitespace kept
+   * @returns {Array<{column: number, name: string}>} Chords
+   * @private
+   */
+  readChords(line) {
+    return [...line.matchAll(/\S+/g)]
+      .filter(match => !/^(?:\||\/|-+)$/.test(match[0]))
+      .map(match => ({ column: match.index, name: match[0] }));
+  }
+
+  /**
+   * Split a lyric line where its chords land. A chord over the middle of a
+   * word moves to the word's start, one over a space to the next word, and
+   * one past the end of the words follows them. ChordProParser places its
+   * bracketed chords with this too.
+   * @param {Array<{column: number, name: string}>} chords - Chords by column
+   * @param {string} lyric - Raw lyric line, or '' for a chord-only line
+   * @returns {Array<{chords: string[], text: string}>} Segments in order;
+   *   words before the first chord form a segment with no chords
+   */
+  pairChords(chords, lyric) {
+    if (!lyric.trim()) return chords.map(({ name }) => ({ chords: [name], text: '' }));
+
+    const starts = new Map();
+    for (const { column, name } of chords) {
+      let start = column;
+      if (start < lyric.length && lyric[start] !== ' ') {
+        while (start > 0 && lyric[start - 1] !== ' ') start--;
+      } else {
+        while (start < lyric.length && lyric[start] === ' ') start++;
+      }
+      start = Math.min(start, lyric.length);
+      if (!starts.has(start)) starts.set(start, []);
+      starts.get(start).push(name);
+    }
+
+    const positions = [...starts.keys()].sort((a, b) => a - b);
+    const segments = [];
+    if (positions[0] > 0 && lyric.slice(0, positions[0]).trim()) {
+      segments.push({ chords: [], text: lyric.slice(0, positions[0]).trim() });
+    }
+    positions.forEach((start, index) => {
+      segments.push({
+        chords: starts.get(start),
+        text: lyric.slice(start, positions[index + 1]).trim()
+      });
+    });
+    return segments;
+  }
+
+  /**
+   * Mark the annotation findHeading() took as the heading of the line at
+   * index, so it is not also read as a note.
+   * @param {Array<Object>} classified - Classified lines
+   * @param {number} index - Index of the first line under the heading
+   * @private
+   */
+  markHeading(classified, index) {
+    for (let k = index - 1; k >= 0; k--) {
+      if (classified[k].type === 'annotation') {
+        classified[k].heading = true;
+        return;
+      }
+    }
+  }
+}
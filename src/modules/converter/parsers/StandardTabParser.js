@@ -4,27 +4,55 @@
  * Parsing runs as a staged pipeline:
  *   classify lines → group sections → assign string names →
  *   align bodies → tokenize each string → bind techniques →
- *   build column events with measure numbers.
+ *   build column events with measure numbers → join wrapped blocks.
  *
  * Columns are indexed into the musical body (after the string label is
  * stripped), so labels of different widths cannot desynchronize chords.
  * Digit runs are consumed once, so multi-digit frets like 12 can never
  * be re-read as a second note.
  *
+ * Problems the parser works around (skipped frets, padded short lines,
+ * stray string lines) are not fatal; they are reported as diagnostics
+ * with the 1-based input line and column they came from.
+ *
  * @module converter/parsers/StandardTabParser
  */
 
-import { TUNING_TEMPLATES, MAX_FRET } from '../../../utils/constants.js';
+import { TUNING_TEMPLATES, MAX_FRET, LEGEND_MEANINGS } from '../../../utils/constants.js';
 import {
   splitStringLabel,
   isMusicContent,
   isTechniqueLine
 } from '../../../utils/validators.js';
 import { getOrdinalSuffix } from '../../../utils/helpers.js';
+import {
+  INSTRUMENTS,
+  instrumentTuning,
+  parseTuning,
+  tuningStringNames
+} from '../../../utils/music.js';
 
 /** Technique symbols recognized inside a string body (x is a mute, not a technique). */
 const TECH_SYMBOLS = new Set(['h', 'p', 'b', 'r', 's', '/', '\\', '~', 't', '^', 'v', '.', '>']);
 
+/**
+ * Two-letter technique symbols, matched before the single letters they
+ * start with: pre-bend (7pb9), trill (5tr7) and pinch harmonic (5PH).
+ */
+const TECH_DIGRAPHS = ['pb', 'tr', 'PH'];
+
+/** Bend amounts written after a bend symbol (7b½), in frets. */
+const BEND_AMOUNTS = { '¼': 0.5, '½': 1, '1½': 3 };
+
+/**
+ * Symbol and meaning of one entry in a legend: a symbol of up to three
+ * characters (no digits, dashes or bar lines), an optional "=" or ":",
+ * then its meaning ("h = hammer-on", "| S  Slap", "PM: palm mute").
+ * Looser than PATTERNS.LEGEND_ENTRY, which only tells "symbol = meaning"
+ * lines apart from other text when lines are classified.
+ */
+const LEGEND_ITEM = /^\|?\s*([^\s\d|:=-]{1,3})\s*(?:[=:]\s*|\s+)([A-Za-z].*)$/;
+
 /** Display names for technique detail types. */
 const TECH_NAMES = {
   'hammer-on': 'hammer-on',
@@ -39,9 +67,102 @@ const TECH_NAMES = {
   staccato: 'staccato',
   accent: 'accent',
   'ghost note': 'ghost note',
-  harmonic: 'harmonic'
+  harmonic: 'harmonic',
+  trill: 'trill'
 };
 
+/**
+ * Rhythm-line symbols and the note values they stand for, spoken the same
+ * way the Guitar Pro importer speaks durations.
+ */
+const RHYTHM_WORDS = {
+  w: 'whole',
+  h: 'half',
+  q: 'quarter',
+  e: 'eighth',
+  s: 'sixteenth',
+  t: 'thirty-second'
+};
+
+/**
+ * Note values a gap estimated from spacing snaps to, in beats of a 4/4
+ * measure (the meter almost every untimed tab is written in).
+ */
+const ESTIMATE_VALUES = [
+  [4, 'whole'],
+  [2, 'half'],
+  [1, 'quarter'],
+  [0.5, 'eighth'],
+  [0.25, 'sixteenth']
+];
+
+/**
+ * A rhythm line: only note-value letters (optionally dotted) and bar
+ * lines, at least two letters, so a lone "e" above a block stays text.
+ */
+const RHYTHM_LINE = /^[\s|]*[whqest]\.?(?:[\s|]+[whqest]\.?)+[\s|]*$/;
+
+/**
+ * A volta/repeat-count line: ending numbers ("1.", "2.") and counts ("x3")
+ * between brackets, underscores and bar lines. No dashes, so it can never
+ * be mistaken for a string line.
+ */
+const ENDING_LINE = /^[\s_|[\]]*(?:(?:[1-9]\.|[xX]\d{1,2})[\s_|[\]]*)+$/;
+
+/**
+ * One span marking on a palm-mute / let-ring line: the keyword and the run
+ * of dashes (or dots, underscores, bars) drawn after it to show its extent.
+ */
+const SPAN_ITEM = /(palm[ -]?mute|let[ -]?ring|p\.?m\.?|l\.?r\.?)([-_.~|\s]*)/gi;
+
+/** Technique applied by each span keyword, in Guitar Pro importer wording. */
+const SPAN_TECHNIQUES = {
+  'palm mute': { type: 'palm mute', context: 'palm muted' },
+  'let ring': { type: 'let ring', context: 'let ring' }
+};
+
+/**
+ * A part label above a block in a band tab: "Gtr I", "Gtr. 2 (clean)",
+ * "Guitar 1:", "Rhythm Guitar", "Bass". "Guitar Solo" is a section name,
+ * not a part, so nothing but a number or a parenthesized note may follow.
+ */
+const PART_LABEL =
+  /^[[(]?\s*(?:(?:rhythm|lead|acoustic|electric|clean)\s+)?(?:gtr|guitar|bass)\.?(?:\s*(?:[ivx]{1,4}|\d))?\s*[\])]?\s*(?:\([^)]*\))?\s*:?$/i;
+
+/**
+ * Playing instructions written as prose under a block, which are notes and
+ * not lyrics: "Play this part twice, then go to the chorus", "Strum with
+ * the thumb", "Slowly". Kept narrow so that words like "Let it be" or
+ * "Hold me" are still sung.
+ */
+const INSTRUCTION_LINE =
+  /^(?:play|strum|pick|skip|slowly|let ring|fade out|(?:go|back) to)\b|\b(?:twice|(?:go|back) to the|until the)\b/i;
+
+/**
+ * Header lines that carry tab metadata: "Tuning: D A D G B E" (or a bare
+ * "Drop C#" / "Eb standard" / "DADGAD"), "Capo 3" / "Capo: 3rd fret" and
+ * "Tempo 96" / "96 bpm".
+ */
+const TUNING_LINE = /^tuning\s*[:=-]?\s*(.+)$/i;
+const BARE_TUNING_LINE =
+  /^(drop\s+[A-G][#b]?|[A-G][#b]?\s+standard|half[- ]step down|whole[- ]step down|dadgad|open\s+[A-G])(?:\s+tuning)?$/i;
+const CAPO_LINE = /^capo\s*(?:on|at)?\s*[:=-]?\s*(\d{1,2})(?:st|nd|rd|th)?(?:\s+fret)?$/i;
+const TEMPO_LINE = /^(?:tempo\s*[:=-]?\s*(\d{2,3})(?:\s*bpm)?|(\d{2,3})\s*bpm)$/i;
+
+/** Line types that belong to the string block they sit directly above. */
+const ATTACHED_ABOVE = new Set(['rhythm', 'ending', 'span']);
+
+/**
+ * Whether a classified line attaches to the block below it: rhythm, ending
+ * and span lines, and chord-name lines (which stay annotations too, for
+ * the chord progression summary).
+ * @param {Object} entry - Classified line
+ * @returns {boolean} True when the line belongs to the block below
+ */
+function attachesAbove(entry) {
+  return ATTACHED_ABOVE.has(entry.type) || Boolean(entry.chords);
+}
+
 /** Describe a fret as spoken text ("open string" / "5th fret"). */
 function fretWord(fret) {
   return fret === 0 ? 'open string' : `${fret}${getOrdinalSuffix(fret)} fret`;
@@ -52,17 +173,44 @@ function fretWord(fret) {
  */
 export class StandardTabParser {
   /**
-   * Parse tablature lines into structured data
+   * Parse tablature lines into structured data. Band tabs that stack
+   * several instruments' blocks are split into parts, and only the chosen
+   * part's sequences are returned.
    * @param {string[]} lines - All lines from the tab, blanks included
-   * @returns {{sequences: Array<Object>, annotations: Array<Object>}} Parsed tab
+   * @param {Object} [options] - Parse options
+   * @param {number} [options.part=0] - Index of the part to return
+   * @param {boolean} [options.estimateRhythm=false] - Estimate note values
+   *   from column spacing in blocks without a rhythm line
+   * @param {string} [options.instrument='guitar'] - Key of INSTRUMENTS the
+   *   tab is for; names strings and sets their pitches
+   * @param {number[]} [options.lowFirstLines=[]] - 0-based lines of blocks
+   *   known to be written low string first, whatever their labels say
+   * @returns {{sequences: Array<Object>, annotations: Array<Object>,
+   *   diagnostics: Array<Object>, parts: Array<{index: number, name: string,
+   *   stringCount: number}>, part: number, metadata: Object, instrument:
+   *   string}} Parsed tab, with diagnostics sorted by line, every part
+   *   found, the index of the returned one, the declared tuning, capo and
+   *   tempo, and the instrument it was read as
    * @throws {Error} When no tab lines can be found
    */
-  parse(lines) {
+  parse(lines, options = {}) {
     if (!Array.isArray(lines)) {
       throw new Error('Nothing to convert yet. Paste a guitar tab first.');
     }
 
+    this.diagnostics = [];
+    this.estimateRhythm = Boolean(options.estimateRhythm);
+    this.instrument = INSTRUMENTS[options.instrument] ? options.instrument : 'guitar';
+    this.profile = INSTRUMENTS[this.instrument];
+    this.lowFirstLines = new Set(options.lowFirstLines || []);
+    this.legend = this.readLegend(lines);
+
     const classified = this.classifyLines(lines);
+    const metadata = this.collectMetadata(classified);
+    this.tuning = metadata.tuning;
+    // A tuning written with flats ("Eb standard") names notes with flats.
+    this.flats = Boolean(this.tuning && /[A-G]b/.test(this.tuning.text));
+    this.capo = metadata.capo || 0;
     const groups = this.groupSections(classified);
 
     if (groups.length === 0) {
@@ -72,16 +220,290 @@ export class StandardTabParser {
       );
     }
 
-    const sequences = groups
-      .map((group, index) => this.parseGroup(group, index + 1))
-      .filter(sequence => sequence.notes.length > 0);
+    const parts = this.assignParts(groups);
+    const part = Number.isInteger(options.part) && parts[options.part] ? options.part : 0;
+
+    // Only the chosen part's blocks are parsed, so problems in the other
+    // parts are not reported; sections keep their numbers in the whole tab.
+    const parsed = groups
+      .map((group, index) => ({ group, number: index + 1 }))
+      .filter(({ group }) => group.partIndex === part)
+      .map(({ group, number }) => this.parseGroup(group, number))
+      .filter(sequence => {
+        if (sequence.notes.length > 0) return true;
+        this.report(
+          'warning',
+          `The tab block starting on line ${sequence.lineNumber + 1} has no fret numbers, so it was skipped`,
+          sequence.lineNumber
+        );
+        return false;
+      });
+    const sequences = this.joinWrappedBlocks(parsed);
+
+    const partAnnotations =
+      parts.length > 1
+        ? [{ text: parts[part].name, lineNumber: sequences[0] ? sequences[0].lineNumber : 0, category: 'part' }]
+        : [];
 
     return {
       sequences,
-      annotations: this.collectAnnotations(classified)
+      annotations: [
+        ...partAnnotations,
+        ...this.metadataAnnotations(metadata),
+        ...this.collectAnnotations(classified),
+        ...this.repeatAnnotations(sequences)
+      ],
+      diagnostics: this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column),
+      parts: parts.map(({ name, stringCount }, index) => ({ index, name, stringCount })),
+      part,
+      metadata,
+      instrument: this.instrument
     };
   }
 
+  /**
+   * Gather the first tuning, capo and tempo declared in the header lines.
+   * @param {Array<Object>} classified - Classified lines
+   * @returns {{tuning: {text: string, midi: number[]}|null, capo: number|null,
+   *   tempo: number|null}} Metadata; tuning MIDI notes are highest string first
+   * @private
+   */
+  collectMetadata(classified) {
+    const metadata = { tuning: null, capo: null, tempo: null };
+    for (const entry of classified) {
+      if (!entry.metadata) continue;
+      for (const [key, value] of Object.entries(entry.metadata)) {
+        if (metadata[key] === null) metadata[key] = value;
+      }
+    }
+    return metadata;
+  }
+
+  /**
+   * Summary lines for the metadata, worded as the Guitar Pro importer
+   * words them. Standard tuning goes unmentioned there too.
+   * @param {Object} metadata - From collectMetadata()
+   * @returns {Array<Object>} Annotations
+   * @private
+   */
+  metadataAnnotations(metadata) {
+    const annotations = [];
+    const push = (text, category) => annotations.push({ text, lineNumber: 0, category });
+
+    if (this.instrument !== 'guitar') {
+      push(this.profile.name, 'instrument');
+    }
+    if (metadata.tempo) {
+      push(`Tempo: ${metadata.tempo} BPM`, 'timing');
+    }
+    if (metadata.capo) {
+      push(`Capo on ${metadata.capo}${getOrdinalSuffix(metadata.capo)} fret`, 'instruction');
+    }
+    if (metadata.tuning) {
+      const { letters, isStandard } = tuningStringNames(
+        metadata.tuning.midi,
+        this.profile,
+        this.flats
+      );
+      if (!isStandard) {
+        push(`Tuning, low string to high: ${[...letters].reverse().join(' ')}`, 'instruction');
+      }
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Sort blocks into parts. A labeled block ("Gtr II") joins the part of
+   * that name; an unlabeled block stays with the part before it if the
+   * string count matches, else returns to the latest part with its string
+   * count (guitar and bass blocks alternating), else starts a new part.
+   * A heading written over one part's block also heads the next block of
+   * every other part, so "[Verse]" above the Gtr I block names Gtr II's
+   * verse too.
+   * @param {Array<Object>} groups - Section groups; each gets a partIndex
+   * @returns {Array<{name: string, stringCount: number}>} Parts in order of
+   *   first appearance
+   * @private
+   */
+  assignParts(groups) {
+    const parts = [];
+    let current = null;
+    let heading = null;
+
+    for (const group of groups) {
+      const stringCount = group.rows.length;
+      let part = null;
+      if (group.part) {
+        // "Gtr. I (clean)" and "Gtr I" are the same part.
+        const key = this.partKey(group.part);
+        part = parts.find(candidate => this.partKey(candidate.name) === key);
+      } else if (current && current.stringCount === stringCount) {
+        part = current;
+      } else {
+        part = [...parts].reverse().find(candidate => candidate.stringCount === stringCount);
+      }
+      if (!part) {
+        part = {
+          name: group.part || `${stringCount}-string part`,
+          stringCount,
+          heading: null
+        };
+        parts.push(part);
+      }
+
+      if (group.heading) {
+        heading = group.heading;
+      } else if (heading !== part.heading) {
+        group.heading = heading;
+      }
+      part.heading = heading;
+
+      group.partIndex = parts.indexOf(part);
+      current = part;
+    }
+
+    return parts.map(({ name, stringCount }) => ({ name, stringCount }));
+  }
+
+  /**
+   * Join blocks that continue the one before them: a block with no heading
+   * of its own and the same number of strings is the next line of a long
+   * tab wrapped to fit the page, so its measures carry on numbering where
+   * the previous block stopped. Sections are numbered afresh afterwards.
+   * @param {Array<Object>} sequences - One parsed sequence per block
+   * @returns {Array<Object>} Sequences, one per section
+   * @private
+   */
+  joinWrappedBlocks(sequences) {
+    const joined = [];
+
+    for (const sequence of sequences) {
+      const previous = joined[joined.length - 1];
+      if (!previous || sequence.heading || sequence.stringCount !== previous.stringCount) {
+        joined.push(sequence);
+        continue;
+      }
+      const { implicitFirst, open } = sequence.repeatState;
+
+      // Positions stay unique within the section: the block is laid out
+      // after the last event of the previous one.
+      const measureOffset = Math.max(previous.measureCount, 1);
+      const positionOffset = previous.notes[previous.notes.length - 1].position + 1;
+
+      for (const event of sequence.notes) {
+        event.measure += measureOffset;
+        event.position += positionOffset;
+        for (const note of event.notes) {
+          note.position += positionOffset;
+        }
+      }
+      for (const span of sequence.spans) {
+        span.startMeasure += measureOffset;
+        span.endMeasure += measureOffset;
+        span.startPosition += positionOffset;
+        span.endPosition += positionOffset;
+      }
+      for (const item of [...sequence.repeats, ...sequence.endings]) {
+        item.startMeasure += measureOffset;
+        item.endMeasure += measureOffset;
+      }
+      for (const line of sequence.lyrics) {
+        line.measure += measureOffset;
+      }
+
+      // A repeat closed in this block without a start of its own goes back
+      // to a start left open in the previous block, or to just after the
+      // previous repeat (the start of the section if there was none).
+      if (implicitFirst) {
+        const last = previous.repeats[previous.repeats.length - 1];
+        sequence.repeats[0].startMeasure =
+          previous.repeatState.open ?? (last ? last.endMeasure + 1 : 1);
+      }
+      previous.repeatState = {
+        implicitFirst: previous.repeatState.implicitFirst,
+        open:
+          open !== null
+            ? open + measureOffset
+            : sequence.repeats.length > 0
+              ? null
+              : previous.repeatState.open
+      };
+
+      previous.measureCount = measureOffset + Math.max(sequence.measureCount, 1);
+      previous.notes.push(...sequence.notes);
+      previous.spans.push(...sequence.spans);
+      previous.repeats.push(...sequence.repeats);
+      previous.endings.push(...sequence.endings);
+      previous.lyrics.push(...sequence.lyrics);
+      previous.rhythmEstimated = previous.rhythmEstimated || sequence.rhythmEstimated;
+    }
+
+    joined.forEach((sequence, index) => {
+      sequence.section = index + 1;
+      delete sequence.repeatState;
+    });
+    return joined;
+  }
+
+  /**
+   * Record a diagnostic for the current parse.
+   * @param {string} severity - 'error', 'warning' or 'info'
+   * @param {string} message - Plain sentence naming the line, for the user
+   * @param {number} lineNumber - 0-based input line index
+   * @param {number} [column=0] - 0-based column in the input line
+   * @private
+   */
+  report(severity, message, lineNumber, column = 0) {
+    this.diagnostics.push({ severity, message, line: lineNumber + 1, column: column + 1 });
+  }
+
+  /**
+   * Build the document's symbol table from its legend lines. Entries
+   * override the built-in symbols, so a tab whose key says "s = slap"
+   * reads 5s as a slap rather than a slide. The first entry for a symbol
+   * wins.
+   * @param {string[]} lines - Raw input lines
+   * @returns {Map<string, Object>} Legend entries by symbol: a built-in
+   *   symbol, a mute, or a technique type and context
+   * @private
+   */
+  readLegend(lines) {
+    const legend = new Map();
+    for (const raw of lines) {
+      const text = raw.trim();
+      if (!isTechniqueLine(text) || RHYTHM_LINE.test(raw)) continue;
+      const match = LEGEND_ITEM.exec(text);
+      if (!match || legend.has(match[1])) continue;
+
+      const meaning = match[2].trim().replace(/[.;,]+$/, '').toLowerCase();
+      const known = LEGEND_MEANINGS.find(([pattern]) => pattern.test(meaning));
+      const entry = known ? known[1] : { type: meaning };
+      legend.set(
+        match[1],
+        entry.type ? { type: entry.type, context: entry.context || meaning } : entry
+      );
+    }
+    return legend;
+  }
+
+  /**
+   * The longest legend symbol written at a position of a string body.
+   * @param {string} content - String body
+   * @param {number} pos - Position to look at
+   * @returns {string|null} Legend symbol, or null
+   * @private
+   */
+  legendSymbolAt(content, pos) {
+    let found = null;
+    for (const symbol of this.legend.keys()) {
+      if (content.startsWith(symbol, pos) && (!found || symbol.length > found.length)) {
+        found = symbol;
+      }
+    }
+    return found;
+  }
+
   /**
    * Classify each raw line as string music, annotation, legend or blank.
    * @param {string[]} lines - Raw input lines
@@ -97,34 +519,152 @@ export class StandardTabParser {
         return { type: 'blank', lineNumber };
       }
 
+      // Checked before legends: a rhythm line starting "h " is a half note,
+      // not a hammer-on key.
+      if (RHYTHM_LINE.test(line)) {
+        return { type: 'rhythm', symbols: this.readRhythmSymbols(line), lineNumber };
+      }
+
+      if (ENDING_LINE.test(line)) {
+        return { type: 'ending', text, markers: this.readEndingMarkers(line), lineNumber };
+      }
+
+      if (text.replace(SPAN_ITEM, '').trim() === '') {
+        return { type: 'span', text, spans: this.readSpans(line), lineNumber };
+      }
+
       if (isTechniqueLine(text)) {
         return { type: 'legend', text, lineNumber };
       }
 
+      const legendChars = [...this.legend.keys()].join('');
       const labeled = splitStringLabel(line);
-      if (labeled && isMusicContent(labeled.body)) {
+      if (labeled && isMusicContent(labeled.body, legendChars)) {
+        // "e|:" — the label pattern swallowed the colon of a repeat start;
+        // hand it back to the body so tokenize() sees the repeat.
+        const repeatStart = labeled.separator.endsWith('|:');
         return {
           type: 'string',
           label: labeled.label,
-          body: labeled.body,
+          body: repeatStart ? `:${labeled.body}` : labeled.body,
+          column: repeatStart ? labeled.bodyStart - 1 : labeled.bodyStart,
           lineNumber
         };
       }
 
-      if (isMusicContent(text)) {
-        return { type: 'string', label: null, body: text, lineNumber };
+      if (isMusicContent(text, legendChars)) {
+        return {
+          type: 'string',
+          label: null,
+          body: text,
+          column: line.length - line.trimStart().length,
+          lineNumber
+        };
       }
 
-      return { type: 'annotation', text, lineNumber };
+      // Before chord names: "Drop C#" reads like two chords.
+      const metadata = this.readMetadata(text);
+      if (metadata) {
+        return { type: 'annotation', text, metadata, lineNumber };
+      }
+
+      if (this.isChordNameLine(text)) {
+        return { type: 'annotation', text, chords: this.readChordNames(line), lineNumber };
+      }
+
+      return { type: 'annotation', text, raw: line, lineNumber };
     });
   }
 
+  /**
+   * Read a tuning, capo or tempo header line.
+   * @param {string} text - Trimmed line text
+   * @returns {{tuning?: {text: string, midi: number[]}, capo?: number,
+   *   tempo?: number}|null} Metadata, or null for any other line
+   * @private
+   */
+  readMetadata(text) {
+    const labeled = TUNING_LINE.exec(text);
+    const tuningText = labeled ? labeled[1] : BARE_TUNING_LINE.test(text) ? text : null;
+    if (tuningText) {
+      const midi = parseTuning(tuningText, this.profile.strings, this.profile);
+      return midi ? { tuning: { text: tuningText.trim(), midi } } : null;
+    }
+
+    const capo = CAPO_LINE.exec(text);
+    if (capo) {
+      return { capo: Number(capo[1]) };
+    }
+
+    const tempo = TEMPO_LINE.exec(text);
+    if (tempo) {
+      return { tempo: Number(tempo[1] || tempo[2]) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the note-value symbols of a rhythm line with their raw columns.
+   * @param {string} line - Rhythm line, leading whitespace kept
+   * @returns {Array<{column: number, value: string, dotted: boolean}>} Symbols
+   * @private
+   */
+  readRhythmSymbols(line) {
+    const symbols = [];
+    for (const match of line.matchAll(/([whqest])(\.?)/g)) {
+      symbols.push({ column: match.index, value: match[1], dotted: match[2] === '.' });
+    }
+    return symbols;
+  }
+
+  /**
+   * Read the ending numbers ("1.") and repeat counts ("x3") of an ending
+   * line with their raw columns.
+   * @param {string} line - Ending line, leading whitespace kept
+   * @returns {Array<{column: number, ending?: number, count?: number}>} Markers
+   * @private
+   */
+  readEndingMarkers(line) {
+    const markers = [];
+    for (const match of line.matchAll(/([1-9])\.|[xX](\d{1,2})/g)) {
+      markers.push(
+        match[1]
+          ? { column: match.index, ending: Number(match[1]) }
+          : { column: match.index, count: Number(match[2]) }
+      );
+    }
+    return markers;
+  }
+
+  /**
+   * Read the palm-mute and let-ring spans of a span line. Each span runs
+   * from its keyword to the last dash drawn after it.
+   * @param {string} line - Span line, leading whitespace kept
+   * @returns {Array<{type: string, start: number, end: number}>} Raw-column spans
+   * @private
+   */
+  readSpans(line) {
+    const spans = [];
+    for (const match of line.matchAll(SPAN_ITEM)) {
+      const keyword = match[1].toLowerCase();
+      const type = /^(l|let)/.test(keyword) ? 'let ring' : 'palm mute';
+      const length = match[0].replace(/\s+$/, '').length;
+      spans.push({ type, start: match.index, end: match.index + length - 1 });
+    }
+    return spans;
+  }
+
   /**
    * Group consecutive string lines into sections. A blank, annotation or
    * legend line always terminates the current group, so separate tab blocks
    * can never merge into one oversized "instrument".
+   * Rhythm, ending, span and chord-name lines directly above a group, and
+   * ending lines (repeat counts) and a lyric line directly below it, are
+   * attached to it.
    * @param {Array<Object>} classified - Classified lines
-   * @returns {Array<Object>} Section groups with rows and optional heading
+   * @returns {Array<Object>} Section groups with rows, attached lines and
+   *   optional heading
    * @private
    */
   groupSections(classified) {
@@ -135,10 +675,42 @@ export class StandardTabParser {
     const closeGroup = () => {
       const labeledCount = rows.filter(row => row.label).length;
       if (labeledCount >= 2 || rows.length >= 3) {
+        let top = firstIndex;
+        while (top > 0 && attachesAbove(classified[top - 1])) top--;
+        let bottom = firstIndex + rows.length;
+        while (bottom < classified.length && classified[bottom].type === 'ending') bottom++;
+        if (bottom < classified.length && this.isLyricLine(classified[bottom])) bottom++;
+
+        const attached = [
+          ...classified.slice(top, firstIndex),
+          ...classified.slice(firstIndex + rows.length, bottom)
+        ];
+        for (const entry of attached) {
+          entry.attached = true;
+        }
+
+        const part = this.findPartLabel(classified, top);
         groups.push({
           rows,
-          heading: this.findHeading(classified, firstIndex)
+          part: part ? part.name : null,
+          rhythm: attached.find(entry => entry.type === 'rhythm') || null,
+          endings: attached.filter(entry => entry.type === 'ending'),
+          spans: attached.filter(entry => entry.type === 'span'),
+          chords: attached.find(entry => entry.chords) || null,
+          lyrics: attached.find(entry => entry.type === 'annotation' && !entry.chords) || null,
+          heading: this.findHeading(classified, part ? part.index : top)
         });
+      } else {
+        // Bare divider lines ("--------") are decoration, not music.
+        for (const row of rows.filter(candidate => candidate.label || /\d/.test(candidate.body))) {
+          this.report(
+            'warning',
+            `Line ${row.lineNumber + 1} looks like a string line, but there are no other ` +
+              'string lines next to it, so it was skipped',
+            row.lineNumber,
+            row.column
+          );
+        }
       }
       rows = [];
       firstIndex = -1;
@@ -157,13 +729,57 @@ export class StandardTabParser {
     return groups;
   }
 
+  /**
+   * Comparison key for a part label: case, dots and notes in parentheses
+   * do not make a different part.
+   * @param {string} name - Part label
+   * @returns {string} Key
+   * @private
+   */
+  partKey(name) {
+    return name
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, '')
+      .replace(/[.\s]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Find a part label ("Gtr I", "Bass") just above a group and mark it so
+   * it is not summarized as a plain annotation.
+   * @param {Array<Object>} classified - Classified lines
+   * @param {number} firstIndex - Index of the group's first line, counting
+   *   lines attached above it
+   * @returns {{name: string, index: number}|null} Label text without
+   *   brackets or colon, and its line index
+   * @private
+   */
+  findPartLabel(classified, firstIndex) {
+    for (let k = firstIndex - 1; k >= 0 && k >= firstIndex - 2; k--) {
+      const entry = classified[k];
+      if (entry.type === 'blank') continue;
+      if (entry.type === 'annotation' && !entry.attached && PART_LABEL.test(entry.text)) {
+        entry.partLabel = true;
+        const name = entry.text
+          .replace(/\s*:$/, '')
+          .replace(/^\[(.*)\]$/, '$1')
+          .replace(/^\((.*)\)$/, '$1')
+          .trim();
+        return { name, index: k };
+      }
+      break;
+    }
+    return null;
+  }
+
   /**
    * Find a short annotation just above a group to use as its heading
-   * (e.g. "[Intro]" or "Verse 1").
+   * (e.g. "[Intro]" or "Verse 1"). SongSheetParser heads its sections with
+   * this too, marking lyric lines attached so they are passed over.
    * @param {Array<Object>} classified - Classified lines
-   * @param {number} firstIndex - Index of the group's first string line
+   * @param {number} firstIndex - Index of the group's first line, counting
+   *   lines attached above it
    * @returns {string|null} Heading text without brackets
-   * @private
    */
   findHeading(classified, firstIndex) {
     for (let k = firstIndex - 1; k >= 0 && k >= firstIndex - 2; k--) {
@@ -171,16 +787,48 @@ export class StandardTabParser {
       if (entry.type === 'blank') continue;
       if (
         entry.type === 'annotation' &&
+        !entry.attached &&
+        !entry.metadata &&
         entry.text.length <= 40 &&
         !this.isChordNameLine(entry.text)
       ) {
-        return entry.text.replace(/^\[/, '').replace(/\]$/, '').trim();
+        // "[Intro]" loses its brackets; "[C]Then this part" keeps its chord.
+        return entry.text.replace(/^\[([^\]]*)\]$/, '$1').trim();
       }
       break;
     }
     return null;
   }
 
+  /**
+   * Check whether a line below a block holds the words sung over it: free
+   * text that is not a section name, part label, chord names, timing or an
+   * instruction. Part labels and headings ("Gtr II", "Guitar Solo:") are
+   * left for findPartLabel() and findHeading() to put over the next block.
+   * @param {Object} entry - Classified line
+   * @returns {boolean} True for lyric lines
+   * @private
+   */
+  isLyricLine(entry) {
+    if (entry.type !== 'annotation' || entry.chords || entry.metadata) return false;
+    // "Tuning: Drop D" and similar labels are metadata, not words.
+    if (/^[\w ]+:\s/.test(entry.text)) return false;
+    if (PART_LABEL.test(entry.text) || /^[^:]{1,40}:$/.test(entry.text)) return false;
+    if (INSTRUCTION_LINE.test(entry.text)) return false;
+    const category = this.annotationCategory(entry.text);
+    return category === 'note' || category === 'lyrics';
+  }
+
+  /**
+   * Read the chord names of a chord-name line with their raw columns.
+   * @param {string} line - Chord-name line, leading whitespace kept
+   * @returns {Array<{column: number, name: string}>} Chord names
+   * @private
+   */
+  readChordNames(line) {
+    return [...line.matchAll(/\S+/g)].map(match => ({ column: match.index, name: match[0] }));
+  }
+
   /**
    * Check whether text is a line of chord names ("C  G  Am  F").
    * @param {string} text - Annotation text
@@ -204,24 +852,36 @@ export class StandardTabParser {
 
     const allNotes = [];
     const barCounts = new Map();
+    const repeatStarts = new Map();
+    const repeatEnds = new Map();
+    const repeatCounts = new Map();
+    const tally = (map, col) => map.set(col, (map.get(col) || 0) + 1);
 
     for (const string of strings) {
       const tokens = this.tokenize(string.content);
       for (const token of tokens) {
         if (token.kind === 'bar') {
-          barCounts.set(token.col, (barCounts.get(token.col) || 0) + 1);
+          tally(barCounts, token.col);
+          if (token.repeatStart) tally(repeatStarts, token.col);
+          if (token.repeatEnd) tally(repeatEnds, token.col);
+          if (token.count) {
+            repeatCounts.set(token.col, Math.max(token.count, repeatCounts.get(token.col) || 0));
+          }
         }
       }
       allNotes.push(...this.buildNotes(tokens, string));
     }
 
     // A column is a measure boundary when at least half the strings have a
-    // bar line there (tolerates a missing | on sloppy lines).
+    // bar line there (tolerates a missing | on sloppy lines). Repeat signs
+    // follow the same rule.
     const threshold = Math.ceil(strings.length / 2);
-    const barColumns = [...barCounts.entries()]
-      .filter(([, count]) => count >= threshold)
-      .map(([col]) => col)
-      .sort((a, b) => a - b);
+    const majority = map =>
+      [...map.entries()]
+        .filter(([, count]) => count >= threshold)
+        .map(([col]) => col)
+        .sort((a, b) => a - b);
+    const barColumns = majority(barCounts);
 
     // Group simultaneous notes (same start column) into events.
     const byPosition = new Map();
@@ -232,33 +892,377 @@ export class StandardTabParser {
 
     const events = [...byPosition.entries()]
       .sort(([a], [b]) => a - b)
-      .map(([position, notes]) => ({
-        position,
-        measure: 1,
-        isChord: notes.length > 1,
-        notes: notes.sort((a, b) => a.stringIndex - b.stringIndex)
-      }));
+      .map(([position, notes]) => {
+        notes.sort((a, b) => a.stringIndex - b.stringIndex);
+        return {
+          position,
+          measure: 1,
+          isChord: notes.length > 1,
+          notes,
+          // Where the event was written: its highest string's fret.
+          lineNumber: notes[0].lineNumber,
+          column: notes[0].column
+        };
+      });
+
+    if (group.rhythm) {
+      this.applyRhythm(events, group.rhythm, strings);
+    }
 
     let measureCount = 0;
+    let interior = [];
     if (events.length > 0 && barColumns.length > 0) {
       const first = events[0].position;
       const last = events[events.length - 1].position;
-      const interior = barColumns.filter(col => col > first && col <= last);
+      interior = barColumns.filter(col => col > first && col <= last);
       for (const event of events) {
         event.measure = 1 + interior.filter(col => col <= event.position).length;
       }
       measureCount = interior.length + 1;
     }
 
+    const rhythmEstimated =
+      this.estimateRhythm && !group.rhythm && events.length > 0
+        ? this.estimateSpacing(events, interior, Math.max(...strings.map(s => s.content.length)))
+        : false;
+
+    const top = this.topString(strings);
+    const spans = this.applySpans(events, group.spans, top);
+    if (group.chords) {
+      this.applyChordNames(events, group.chords, top);
+    }
+    const lyrics = group.lyrics ? this.applyLyrics(events, group.lyrics, top) : [];
+
+    // Ending-line counts ("x3" over or under a bar) join the inline ones.
+    for (const marker of group.endings.flatMap(entry => entry.markers)) {
+      if (!marker.count) continue;
+      const position = marker.column - top.column;
+      const bar = barColumns
+        .filter(col => Math.abs(col - position) <= 3)
+        .sort((a, b) => Math.abs(a - position) - Math.abs(b - position))[0];
+      if (bar !== undefined) {
+        repeatCounts.set(bar, marker.count);
+      }
+    }
+
+    const { repeats, endings, repeatState } = this.buildRepeats({
+      interior,
+      measureCount: Math.max(measureCount, 1),
+      barColumns,
+      starts: majority(repeatStarts),
+      ends: majority(repeatEnds),
+      counts: repeatCounts,
+      endingPositions: group.endings
+        .flatMap(entry => entry.markers)
+        .filter(marker => marker.ending)
+        .map(marker => ({ number: marker.ending, position: marker.column - top.column }))
+    });
+
     return {
       section: sectionNumber,
       heading: group.heading,
       measureCount,
       stringCount: strings.length,
+      // Names and sounding open pitches (capo included), for the transposer
+      // to move notes between strings.
+      strings: strings.map(({ name, open, startFret }) => ({ name, open, startFret })),
+      lineNumber: group.rows[0].lineNumber,
+      repeats,
+      endings,
+      repeatState,
+      spans,
+      lyrics,
+      rhythmEstimated,
       notes: events
     };
   }
 
+  /**
+   * Bind each word of a lyric line below the block to the event nearest
+   * its first letter (the earlier one on a tie). Syllables split with a
+   * trailing hyphen ("Yes- ter- day") are joined back up within a measure.
+   * @param {Array<Object>} events - Events with measure numbers
+   * @param {Object} lyricLine - Classified lyric line
+   * @param {Object} top - Top string the line is aligned against
+   * @returns {Array<{measure: number, text: string, lineNumber: number,
+   *   column: number}>} Words sung per measure, with where the first was written
+   * @private
+   */
+  applyLyrics(events, lyricLine, top) {
+    const played = events.filter(event => !event.isRest);
+    if (played.length === 0) return [];
+
+    const line = lyricLine.raw.replace(/\s+$/, '');
+    const columns = new Map();
+    for (const match of line.matchAll(/\S+/g)) {
+      const position = match.index - top.column;
+      const event = played.reduce((best, candidate) =>
+        Math.abs(candidate.position - position) < Math.abs(best.position - position)
+          ? candidate
+          : best
+      );
+      event.lyric = event.lyric ? `${event.lyric} ${match[0]}` : match[0];
+      if (!columns.has(event)) columns.set(event, match.index);
+    }
+
+    const byMeasure = new Map();
+    for (const event of played) {
+      if (!event.lyric) continue;
+      if (!byMeasure.has(event.measure)) {
+        byMeasure.set(event.measure, { words: [], column: columns.get(event) });
+      }
+      byMeasure.get(event.measure).words.push(event.lyric);
+    }
+
+    return [...byMeasure.entries()].map(([measure, { words, column }]) => ({
+      measure,
+      text: words.join(' ').replace(/(\w)- +(?=\w)/g, '$1'),
+      lineNumber: lyricLine.lineNumber,
+      column
+    }));
+  }
+
+  /**
+   * Name the chord each event is played over from the chord-name line
+   * above the block. A name covers its own column (or the one after, for
+   * names written a column early) up to the next name, so arpeggiated
+   * single notes inherit the chord they outline.
+   * @param {Array<Object>} events - Column events
+   * @param {Object} chordLine - Classified chord-name line
+   * @param {Object} top - Top string the line is aligned against
+   * @private
+   */
+  applyChordNames(events, chordLine, top) {
+    const names = chordLine.chords.map(chord => ({
+      name: chord.name,
+      position: chord.column - top.column
+    }));
+
+    for (const event of events) {
+      if (event.isRest) continue;
+      const current = names.filter(chord => chord.position <= event.position + 1).pop();
+      if (current) {
+        event.chordName = current.name;
+      }
+    }
+  }
+
+  /**
+   * Apply palm-mute and let-ring span lines to every note whose event
+   * starts inside a span. The notes carry the technique (marked as coming
+   * from a span) and the sequence gets one entry per span, so the output
+   * can describe the span once instead of on every note.
+   * @param {Array<Object>} events - Events with measure numbers
+   * @param {Array<Object>} spanLines - Classified span lines of the group
+   * @param {Object} top - Top string the lines are aligned against
+   * @returns {Array<Object>} Spans with their first/last event and measures
+   * @private
+   */
+  applySpans(events, spanLines, top) {
+    const spans = [];
+
+    for (const span of spanLines.flatMap(entry => entry.spans)) {
+      const start = span.start - top.column;
+      const end = span.end - top.column;
+      const covered = events.filter(
+        event => !event.isRest && event.position >= start && event.position <= end
+      );
+      if (covered.length === 0) continue;
+
+      const { type, context } = SPAN_TECHNIQUES[span.type];
+      for (const note of covered.flatMap(event => event.notes)) {
+        if (!note.techniques.includes(type)) {
+          note.techniques.push(type);
+        }
+        note.techniqueDetails.push({ type, context, span: true });
+      }
+
+      const first = covered[0];
+      const last = covered[covered.length - 1];
+      spans.push({
+        type,
+        context,
+        startPosition: first.position,
+        endPosition: last.position,
+        startMeasure: first.measure,
+        endMeasure: last.measure,
+        eventCount: covered.length
+      });
+    }
+
+    return spans.sort((a, b) => a.startPosition - b.startPosition);
+  }
+
+  /**
+   * The string on the top line of the block as written, which attached
+   * lines (rhythm, endings) are aligned against.
+   * @param {Array<Object>} strings - Aligned strings of a group
+   * @returns {Object} Top string
+   * @private
+   */
+  topString(strings) {
+    return strings.reduce((first, string) =>
+      string.lineNumber < first.lineNumber ? string : first
+    );
+  }
+
+  /**
+   * Turn repeat bar columns and ending markers into measure spans.
+   * A repeat end closes the span opened by the most recent repeat start
+   * (or the start of the section), as in Guitar Pro imports; an end
+   * without a count plays twice.
+   * The block may be one line of a wrapped tab, so it also reports whether
+   * its first repeat had no start of its own and which repeat start is
+   * still open at its end, for joinWrappedBlocks() to resolve.
+   * @param {Object} layout - Bar columns, repeat columns and ending positions
+   * @returns {{repeats: Array<Object>, endings: Array<Object>,
+   *   repeatState: {implicitFirst: boolean, open: number|null}}} Measure spans
+   * @private
+   */
+  buildRepeats({ interior, measureCount, barColumns, starts, ends, counts, endingPositions }) {
+    // A bar at a column opens the measure after it and closes the one before.
+    const measureFrom = col => 1 + interior.filter(bar => bar <= col).length;
+    const measureBefore = col => Math.min(1 + interior.filter(bar => bar < col).length, measureCount);
+
+    const repeats = [];
+    let openedAt = 1;
+    let explicit = false;
+    let implicitFirst = false;
+    for (const col of barColumns) {
+      if (ends.includes(col) || counts.has(col)) {
+        if (repeats.length === 0 && !explicit) implicitFirst = true;
+        repeats.push({
+          startMeasure: openedAt,
+          endMeasure: measureBefore(col),
+          times: counts.get(col) || 2
+        });
+        openedAt = measureFrom(col);
+        explicit = false;
+      }
+      if (starts.includes(col)) {
+        openedAt = Math.min(measureFrom(col), measureCount);
+        explicit = true;
+      }
+    }
+
+    const sorted = [...endingPositions].sort((a, b) => a.position - b.position);
+    const endings = sorted.map((ending, index) => {
+      const startMeasure = measureFrom(ending.position);
+      const next = sorted[index + 1];
+      const closingEnd = ends.find(col => col > ending.position);
+      let endMeasure = startMeasure;
+      if (next) {
+        endMeasure = Math.max(startMeasure, measureFrom(next.position) - 1);
+      } else if (closingEnd !== undefined) {
+        endMeasure = Math.max(startMeasure, measureBefore(closingEnd));
+      }
+      return { number: ending.number, startMeasure, endMeasure };
+    });
+
+    return { repeats, endings, repeatState: { implicitFirst, open: explicit ? openedAt : null } };
+  }
+
+  /**
+   * Attach spoken durations from a rhythm line to the events below it.
+   * A symbol binds to the event starting in its column, or one column to
+   * either side (so it may sit over either digit of a fret like 12).
+   * Symbols over empty columns become rests, as in Guitar Pro imports.
+   * @param {Array<Object>} events - Column events, sorted by position
+   * @param {Object} rhythm - Classified rhythm line
+   * @param {Array<Object>} strings - Aligned strings of the group
+   * @private
+   */
+  applyRhythm(events, rhythm, strings) {
+    const top = this.topString(strings);
+    const byPosition = new Map(events.map(event => [event.position, event]));
+    const timed = new Set();
+    const rests = [];
+
+    for (const symbol of rhythm.symbols) {
+      const position = symbol.column - top.column;
+      const event = [position, position - 1, position + 1]
+        .map(candidate => byPosition.get(candidate))
+        .find(candidate => candidate && !timed.has(candidate));
+      const base = `${symbol.dotted ? 'dotted ' : ''}${RHYTHM_WORDS[symbol.value]}`;
+
+      if (event) {
+        timed.add(event);
+        for (const note of event.notes) {
+          note.duration = `${base} note`;
+        }
+      } else if (position >= 0) {
+        rests.push({
+          position,
+          measure: 1,
+          isChord: false,
+          isRest: true,
+          duration: `${base} rest`,
+          notes: [],
+          lineNumber: rhythm.lineNumber,
+          column: symbol.column
+        });
+      }
+    }
+
+    events.push(...rests);
+    events.sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Estimate rhythm in a block without a rhythm line from how far apart
+   * its events are written. Inside a measure, each event's share of the
+   * columns from the measure's first event to its closing bar is read as
+   * a share of four beats and snapped to the nearest note value. Across
+   * the block, gaps under half the usual one make a quick pair and gaps
+   * over twice it a long gap. Results go on each note as `estimate`.
+   * @param {Array<Object>} events - Events with positions and measures
+   * @param {number[]} interior - Bar columns between the first and last
+   *   event
+   * @param {number} width - Length of the aligned string bodies
+   * @returns {boolean} True when any event got an estimate
+   * @private
+   */
+  estimateSpacing(events, interior, width) {
+    const estimates = events.map(() => ({}));
+
+    // Note values need bar lines: without them there is no measure to
+    // measure against, only the relative feel below.
+    if (interior.length > 0 || events.some(event => event.measure > 1)) {
+      for (const [index, event] of events.entries()) {
+        const first = events.find(other => other.measure === event.measure);
+        const bar = interior.find(col => col > event.position) ?? width;
+        const next = events[index + 1];
+        const end = next && next.measure === event.measure ? next.position : bar;
+        const beats = ((end - event.position) / (bar - first.position)) * 4;
+        const [, value] = ESTIMATE_VALUES.reduce((best, candidate) =>
+          Math.abs(Math.log2(candidate[0] / beats)) < Math.abs(Math.log2(best[0] / beats))
+            ? candidate
+            : best
+        );
+        estimates[index].duration = `${value} note`;
+      }
+    }
+
+    const gaps = events.slice(1).map((event, index) => event.position - events[index].position);
+    if (gaps.length >= 3) {
+      const usual = [...gaps].sort((a, b) => a - b)[Math.floor(gaps.length / 2)];
+      gaps.forEach((gap, index) => {
+        if (gap * 2 <= usual) estimates[index].spacing = 'quick pair';
+        else if (gap >= usual * 2) estimates[index].spacing = 'long gap';
+      });
+    }
+
+    let estimated = false;
+    events.forEach((event, index) => {
+      if (Object.keys(estimates[index]).length === 0) return;
+      estimated = true;
+      for (const note of event.notes) {
+        note.estimate = estimates[index];
+      }
+    });
+    return estimated;
+  }
+
   /**
    * Assign a display name and index to every row of a group.
    * Position in the block decides the index; the label only names the
@@ -270,7 +1274,8 @@ export class StandardTabParser {
    */
   assignStrings(rows) {
     let ordered = rows;
-    if (this.isInverted(rows)) {
+    const lowFirst = rows.every(row => this.lowFirstLines.has(row.lineNumber));
+    if (lowFirst || this.isInverted(rows)) {
       ordered = [...rows].reverse();
     }
 
@@ -282,19 +1287,61 @@ export class StandardTabParser {
       if (letter) counts[letter] = (counts[letter] || 0) + 1;
     }
 
+    // Unlabeled strings take their names from the declared tuning when
+    // it fits the block, else from the standard tuning for the size.
     const allBare = ordered.every(row => !row.label);
-    const template = allBare
-      ? TUNING_TEMPLATES[ordered.length] || null
-      : null;
+    let template = null;
+    if (allBare) {
+      const declared = this.tuning
+        ? parseTuning(this.tuning.text, ordered.length, this.profile)
+        : null;
+      template =
+        declared && declared.length === ordered.length
+          ? tuningStringNames(declared, this.profile, this.flats).names
+          : this.profile.names[ordered.length] || TUNING_TEMPLATES[ordered.length] || null;
+    }
 
+    const pitches = this.openPitches(ordered, letters);
+    // The banjo's short string: frets count from where it starts.
+    const { drone } = this.profile;
     return ordered.map((row, index) => ({
       name: this.stringName(row, index, ordered.length, letters, counts, template),
       index,
+      open: pitches ? pitches[index] : null,
+      startFret:
+        drone && drone.index === index && ordered.length === this.profile.strings
+          ? drone.startFret
+          : 0,
       content: row.body,
+      column: row.column,
       lineNumber: row.lineNumber
     }));
   }
 
+  /**
+   * Sounding MIDI pitch of each open string with the capo on: from the
+   * declared tuning if it fits the block, else from the string labels when
+   * every string has one, else the instrument's standard tuning for the
+   * size.
+   * @param {Array<Object>} ordered - Rows, highest string first
+   * @param {Array<string|null>} letters - Normalized label letters
+   * @returns {number[]|null} Pitches, or null for unknown block sizes
+   * @private
+   */
+  openPitches(ordered, letters) {
+    const count = ordered.length;
+    let tuning = this.tuning ? parseTuning(this.tuning.text, count, this.profile) : null;
+    if (!tuning || tuning.length !== count) {
+      tuning = letters.every(Boolean)
+        ? parseTuning([...letters].reverse().join(' '), count, this.profile)
+        : null;
+    }
+    if (!tuning || tuning.length !== count) {
+      tuning = instrumentTuning(this.profile, count) || null;
+    }
+    return tuning ? tuning.map(midi => midi + this.capo) : null;
+  }
+
   /**
    * Compute the display name for one string row.
    * @private
@@ -359,19 +1406,24 @@ export class StandardTabParser {
   /**
    * Align string bodies onto a shared column grid. Labels were already
    * stripped, so the main job is removing a shared leading bar line and
-   * padding to equal length.
+   * padding to equal length. Each string's column (where its body starts
+   * in the raw line) follows the stripped bar.
+   * Only a bar with nothing but spaces before it is "leading": a short
+   * first measure like -3-| must keep its notes. Lines that needed
+   * padding are reported, since their columns may not line up; a repeat
+   * count written after the last bar on one string ("-3-:||x3") and
+   * trailing spaces do not count towards that.
    * @param {Array<Object>} strings - Strings with content
    * @private
    */
   alignBodies(strings) {
-    const allStartWithBar = strings.every(string => {
-      const barIndex = string.content.indexOf('|');
-      return barIndex >= 0 && barIndex <= 4;
-    });
+    const allStartWithBar = strings.every(string => /^\s{0,4}\|/.test(string.content));
 
     if (allStartWithBar) {
       for (const string of strings) {
-        string.content = string.content.slice(string.content.indexOf('|') + 1);
+        const cut = string.content.indexOf('|') + 1;
+        string.content = string.content.slice(cut);
+        string.column += cut;
       }
     }
 
@@ -379,7 +1431,20 @@ export class StandardTabParser {
       (max, string) => Math.max(max, string.content.length),
       0
     );
+    const writtenLength = string =>
+      string.content.replace(/\| ?[xX]\d{1,2}\s*$/, '|').replace(/\s+$/, '').length;
+    const longest = Math.max(...strings.map(writtenLength));
     for (const string of strings) {
+      const missing = longest - writtenLength(string);
+      if (missing > 0) {
+        this.report(
+          'warning',
+          `Line ${string.lineNumber + 1} is ${missing} character${missing === 1 ? '' : 's'} ` +
+            'shorter than the other strings',
+          string.lineNumber,
+          string.column + writtenLength(string)
+        );
+      }
       string.content = string.content.padEnd(maxLength, '-');
     }
   }
@@ -395,12 +1460,48 @@ export class StandardTabParser {
     const tokens = [];
     let pos = 0;
 
+    // A repeat count ("x3", "x 3" is not accepted) right after a bar line.
+    const readCount = (token, from) => {
+      const match = content.slice(from).match(/^ ?[xX](\d{1,2})(?!\d)/);
+      if (!match) return from;
+      token.count = parseInt(match[1], 10);
+      token.repeatEnd = true;
+      return from + match[0].length;
+    };
+
     while (pos < content.length) {
       const char = content[pos];
-
-      if (char === '|') {
-        tokens.push({ kind: 'bar', col: pos, len: 1 });
-        pos += 1;
+      const legendSymbol = this.legendSymbolAt(content, pos);
+
+      if (legendSymbol) {
+        const entry = this.legend.get(legendSymbol);
+        const token = entry.mute
+          ? { kind: 'mute', col: pos, len: legendSymbol.length }
+          : this.techToken(content, pos, legendSymbol, entry);
+        tokens.push(token);
+        pos += token.len;
+      } else if (char === '|' || (char === ':' && (content[pos + 1] === '|' || pos === 0))) {
+        // One token per bar line, however it is drawn: |, ||, |: and ||:
+        // open a repeat, :| and :|| close one, :||: does both. A lone ":"
+        // at the start means the label already consumed the leading bar.
+        const token = { kind: 'bar', col: pos, len: 0 };
+        let end = pos;
+        if (content[end] === ':') {
+          end++;
+          if (content[end] === '|') {
+            token.repeatEnd = true;
+          } else {
+            token.repeatStart = true;
+          }
+        }
+        while (content[end] === '|') end++;
+        if (content[end] === ':' && content[end + 1] !== '|') {
+          token.repeatStart = true;
+          end++;
+        }
+        token.len = end - pos;
+        tokens.push(token);
+        pos = readCount(token, end);
       } else if (/\d/.test(char)) {
         let end = pos + 1;
         while (end < content.length && /\d/.test(content[end])) end++;
@@ -413,7 +1514,8 @@ export class StandardTabParser {
           valid: fret <= MAX_FRET
         });
         pos = end;
-      } else if (char === 'x' || char === 'X') {
+      } else if (char === 'x' || char === 'X' || char === '*') {
+        // * is a dead note, which Guitar Pro imports also speak as muted.
         tokens.push({ kind: 'mute', col: pos, len: 1 });
         pos += 1;
       } else if (char === 'o' || char === 'O') {
@@ -435,8 +1537,9 @@ export class StandardTabParser {
         } else {
           pos += 1;
         }
-      } else if (char === '<') {
-        const match = content.slice(pos).match(/^<(\d{1,2})>/);
+      } else if (char === '<' || char === '[') {
+        // <12> is a natural harmonic, [12] an artificial one.
+        const match = content.slice(pos).match(char === '<' ? /^<(\d{1,2})>/ : /^\[(\d{1,2})\]/);
         if (match) {
           const fret = parseInt(match[1], 10);
           tokens.push({
@@ -445,15 +1548,19 @@ export class StandardTabParser {
             len: match[0].length,
             fret,
             valid: fret <= MAX_FRET,
-            harmonic: true
+            harmonic: char === '<' ? 'harmonic' : 'artificial harmonic'
           });
           pos += match[0].length;
         } else {
           pos += 1;
         }
-      } else if (TECH_SYMBOLS.has(char)) {
-        tokens.push({ kind: 'tech', col: pos, len: 1, symbol: char });
-        pos += 1;
+      } else if (TECH_SYMBOLS.has(char) || TECH_DIGRAPHS.includes(content.slice(pos, pos + 2))) {
+        const symbol = TECH_DIGRAPHS.includes(content.slice(pos, pos + 2))
+          ? content.slice(pos, pos + 2)
+          : char;
+        const token = this.techToken(content, pos, symbol, { symbol });
+        tokens.push(token);
+        pos += token.len;
       } else {
         pos += 1; // dash, space, colon or unknown character
       }
@@ -462,6 +1569,31 @@ export class StandardTabParser {
     return tokens;
   }
 
+  /**
+   * Build a technique token for a symbol written at a position, reading a
+   * bend amount (7b½) after bend symbols.
+   * @param {string} content - String body
+   * @param {number} pos - Position of the symbol
+   * @param {string} written - Symbol as written
+   * @param {Object} entry - Built-in symbol it stands for, or a legend
+   *   technique type and context
+   * @returns {Object} Tech token
+   * @private
+   */
+  techToken(content, pos, written, entry) {
+    const token = entry.symbol
+      ? { kind: 'tech', col: pos, len: written.length, symbol: entry.symbol }
+      : { kind: 'tech', col: pos, len: written.length, symbol: written, custom: entry };
+    if (token.symbol === 'b' || token.symbol === 'pb') {
+      const amount = content.slice(pos + written.length).match(/^1?½|^¼/);
+      if (amount) {
+        token.amount = BEND_AMOUNTS[amount[0]];
+        token.len += amount[0].length;
+      }
+    }
+    return token;
+  }
+
   /**
    * Turn one string's tokens into notes, binding techniques to the notes
    * they touch. A technique only applies when its symbol is part of an
@@ -520,7 +1652,7 @@ export class StandardTabParser {
       const left = fretLeftOf(token);
       const right = fretRightOf(token);
 
-      switch (token.symbol) {
+      switch (token.custom ? null : token.symbol) {
         case 'h':
         case 'p': {
           const type = token.symbol === 'h' ? 'hammer-on' : 'pull-off';
@@ -538,7 +1670,17 @@ export class StandardTabParser {
         }
         case 'b':
         case '^': {
-          if (left && right) {
+          if (token.amount && (left || right)) {
+            const owner = left || right;
+            attach(
+              owner,
+              'bend',
+              token.amount < 1
+                ? 'quarter-tone bend'
+                : `bend up toward ${fretWord(owner.fret + token.amount)}`,
+              token.amount < 1 ? {} : { toFret: owner.fret + token.amount }
+            );
+          } else if (left && right) {
             absorbed.add(right);
             attach(left, 'bend', `bend up toward ${fretWord(right.fret)}`, {
               toFret: right.fret
@@ -548,6 +1690,36 @@ export class StandardTabParser {
           }
           break;
         }
+        case 'pb': {
+          // The note is bent before it is picked; the fret after the
+          // symbol (or the written amount) is where the bend sits.
+          const owner = left || right;
+          const target = left && right ? right.fret : left && token.amount ? left.fret + token.amount : null;
+          if (left && right) absorbed.add(right);
+          if (owner) {
+            attach(
+              owner,
+              'bend',
+              target !== null ? `pre-bend toward ${fretWord(target)}` : 'pre-bend',
+              target !== null ? { toFret: target } : {}
+            );
+          }
+          break;
+        }
+        case 'tr': {
+          if (left && right) {
+            absorbed.add(right);
+            attach(left, 'trill', `trill with ${fretWord(right.fret)}`, { toFret: right.fret });
+          } else if (left || right) {
+            attach(left || right, 'trill', 'trill');
+          }
+          break;
+        }
+        case 'PH': {
+          const target = left || right;
+          if (target) attach(target, 'harmonic', 'pinch harmonic');
+          break;
+        }
         case 'r': {
           const owner = fretLeftOf(token, true);
           if (right) absorbed.add(right);
@@ -603,6 +1775,12 @@ export class StandardTabParser {
           if (target) attach(target, 'accent', 'accent');
           break;
         }
+        default: {
+          // A technique only the document's legend defines.
+          const target = left || right;
+          if (token.custom && target) attach(target, token.custom.type, token.custom.context);
+          break;
+        }
       }
     }
 
@@ -610,20 +1788,40 @@ export class StandardTabParser {
     for (const token of tokens) {
       if (token.kind !== 'fret' && token.kind !== 'mute') continue;
       if (token.kind === 'fret' && !token.valid) {
-        console.warn(`Skipping impossible fret number ${token.fret}`);
+        this.report(
+          'warning',
+          `Fret ${token.fret} on line ${string.lineNumber + 1} is higher than ${MAX_FRET}, ` +
+            'so it was skipped',
+          string.lineNumber,
+          string.column + token.col
+        );
         continue;
       }
       if (absorbed.has(token)) continue;
+      if (token.kind === 'fret' && token.fret > 0 && token.fret < string.startFret) {
+        this.report(
+          'warning',
+          `Fret ${token.fret} on line ${string.lineNumber + 1} is below the ` +
+            `${fretWord(string.startFret)}, where the ${string.name} string starts, so it was skipped`,
+          string.lineNumber,
+          string.column + token.col
+        );
+        continue;
+      }
 
       const techniques = [...(names.get(token) || [])];
       const techniqueDetails = [...(details.get(token) || [])];
+      if (string.startFret && token.fret === 0) {
+        techniques.push('drone');
+        techniqueDetails.push({ type: 'drone', context: 'open drone string' });
+      }
       if (token.ghost) {
         techniques.push('ghost note');
         techniqueDetails.push({ type: 'ghost note', context: 'ghost note, played softly' });
       }
-      if (token.harmonic) {
+      if (token.harmonic && !techniques.includes('harmonic')) {
         techniques.push('harmonic');
-        techniqueDetails.push({ type: 'harmonic', context: 'harmonic' });
+        techniqueDetails.push({ type: 'harmonic', context: token.harmonic });
       }
 
       notes.push({
@@ -632,13 +1830,58 @@ export class StandardTabParser {
         fret: token.kind === 'mute' ? 'mute' : token.fret,
         techniques,
         techniqueDetails,
-        position: token.col
+        position: token.col,
+        lineNumber: string.lineNumber,
+        column: string.column + token.col,
+        ...(token.kind === 'fret' && string.open !== null
+          ? {
+              midi: string.open + (token.fret > 0 ? token.fret - string.startFret : 0),
+              ...(this.flats ? { flats: true } : {})
+            }
+          : {})
       });
     }
 
     return notes;
   }
 
+  /**
+   * Spoken repeat and ending instructions, phrased like the Guitar Pro
+   * importer's ("Measures 5 to 8 repeat, play 2 times"). Measure numbers
+   * restart in every headed section, so multi-section tabs name the section.
+   * @param {Array<Object>} sequences - Parsed sequences
+   * @returns {Array<Object>} Instruction annotations
+   * @private
+   */
+  repeatAnnotations(sequences) {
+    const annotations = [];
+
+    for (const sequence of sequences) {
+      const where = sequences.length > 1 ? ` (Section ${sequence.section})` : '';
+      const push = text =>
+        annotations.push({ text: text + where, lineNumber: sequence.lineNumber, category: 'instruction' });
+
+      for (const repeat of sequence.repeats) {
+        const span =
+          repeat.startMeasure === repeat.endMeasure
+            ? `Measure ${repeat.startMeasure} repeats`
+            : `Measures ${repeat.startMeasure} to ${repeat.endMeasure} repeat`;
+        push(`${span}, play ${repeat.times} times`);
+      }
+
+      for (const ending of sequence.endings) {
+        const ordinal = `${ending.number}${getOrdinalSuffix(ending.number)}`;
+        push(
+          ending.startMeasure === ending.endMeasure
+            ? `${ordinal} ending: measure ${ending.startMeasure}`
+            : `${ordinal} ending: measures ${ending.startMeasure} to ${ending.endMeasure}`
+        );
+      }
+    }
+
+    return annotations;
+  }
+
   /**
    * Collect non-tab lines as annotations for the output summary.
    * @param {Array<Object>} classified - Classified lines
@@ -649,22 +1892,17 @@ export class StandardTabParser {
     const annotations = [];
 
     for (const entry of classified) {
-      if (entry.type !== 'annotation') continue;
-      const text = entry.text;
-
-      let category = 'note';
-      if (/^\[.*\]$/.test(text) || /^[IVX]+\s*-/.test(text) ||
-          /^(intro|verse|chorus|bridge|solo|outro|pre-chorus|interlude)\b/i.test(text)) {
-        category = 'section';
-      } else if (text.includes('"')) {
-        category = 'lyrics';
-      } else if (/\d+:\d+/.test(text)) {
-        category = 'timing';
-      } else if (/repeat|times|x\d+/i.test(text)) {
-        category = 'instruction';
-      } else if (this.isChordNameLine(text)) {
-        category = 'chords';
+      // A repeat count or ending line not attached to any block still
+      // tells the player something.
+      if (entry.type === 'ending' && !entry.attached) {
+        annotations.push({ text: entry.text, lineNumber: entry.lineNumber, category: 'instruction' });
+        continue;
       }
+      if (entry.type !== 'annotation' || entry.partLabel || entry.metadata) continue;
+      const text = entry.text;
+      // A lyric line attached below a block is lyrics whatever it says.
+      const category =
+        entry.attached && !entry.chords ? 'lyrics' : this.annotationCategory(text);
 
       annotations.push({
         text: text.replace(/^\[/, '').replace(/\]$/, '').trim(),
@@ -675,4 +1913,22 @@ export class StandardTabParser {
 
     return annotations;
   }
+
+  /**
+   * Categorize an annotation line for the output summary.
+   * @param {string} text - Trimmed annotation text
+   * @returns {string} Category: section, lyrics, timing, instruction,
+   *   chords or note
+   */
+  annotationCategory(text) {
+    if (/^\[.*\]$/.test(text) || /^[IVX]+\s*-/.test(text) ||
+        /^(intro|verse|chorus|bridge|solo|outro|pre-chorus|interlude)\b/i.test(text)) {
+      return 'section';
+    }
+    if (text.includes('"')) return 'lyrics';
+    if (/\d+:\d+/.test(text)) return 'timing';
+    if (/repeat|times|x\d+/i.test(text)) return 'instruction';
+    if (this.isChordNameLine(text)) return 'chords';
+    return 'note';
+  }
 }
@@ -4,6 +4,7 @@
  */
 
 import { LocalStorage } from '../../storage/LocalStorage.js';
+import { TabConverter } from '../../converter/TabConverter.js';
 import { notificationManager } from '../components/NotificationManager.js';
 import { formatDate } from '../../../utils/helpers.js';
 
@@ -12,6 +13,7 @@ import { formatDate } from '../../../utils/helpers.js';
  */
 export class MyTabsPage {
   constructor() {
+    this.converter = new TabConverter();
     this.init();
   }
 
@@ -163,6 +165,16 @@ export class MyTabsPage {
     exportBtn.setAttribute('aria-label', `Export ${tab.name}`);
     exportBtn.addEventListener('click', () => this.exportTab(tab));
     actionsCell.appendChild(exportBtn);
+
+    // Chord sheets can also go out as ChordPro for chord sheet apps
+    if (this.converter.isChordSheet(tab.originalTab)) {
+      const chordProBtn = document.createElement('button');
+      chordProBtn.className = 'export-button';
+      chordProBtn.textContent = 'Export ChordPro';
+      chordProBtn.setAttribute('aria-label', `Export ${tab.name} as ChordPro`);
+      chordProBtn.addEventListener('click', () => this.exportChordPro(tab));
+      actionsCell.appendChild(chordProBtn);
+    }
     
     row.appendChild(nameCell);
     row.appendChild(dateCell);
@@ -273,18 +285,53 @@ export class MyTabsPage {
     };
 
     const json = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
+    this.download(json, 'application/json', `${this.fileStem(tab)}_guitar_tab.json`);
+    notificationManager.success(`Exported "${tab.name}"`);
+  }
+
+  /**
+   * Export a chord sheet tab as a ChordPro file
+   * @param {Object} tab - Tab whose original text is a chord sheet
+   */
+  exportChordPro(tab) {
+    let chordPro;
+    try {
+      chordPro = this.converter.exportChordPro(tab.originalTab, { title: tab.name });
+    } catch (error) {
+      notificationManager.error(error.message);
+      return;
+    }
+
+    this.download(chordPro, 'text/plain', `${this.fileStem(tab)}.cho`);
+    notificationManager.success(`Exported "${tab.name}" as ChordPro`);
+  }
+
+  /**
+   * File name stem for a tab's exports
+   * @param {Object} tab - Tab being exported
+   * @returns {string} Tab name with anything but letters and digits as _
+   */
+  fileStem(tab) {
+    return tab.name.replace(/[^a-z0-9]/gi, '_');
+  }
+
+  /**
+   * Offer text to the user as a downloaded file
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   * @param {string} fileName - Name to save the file as
+   */
+  download(content, type, fileName) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
-    
+
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${tab.name.replace(/[^a-z0-9]/gi, '_')}_guitar_tab.json`;
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-    
-    notificationManager.success(`Exported "${tab.name}"`);
   }
 
   /**
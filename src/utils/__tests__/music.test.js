@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTuning,
+  pitchClassOf,
+  tuningStringNames,
+  INSTRUMENTS,
+  STANDARD_TUNINGS
+} from '../music.js';
+
+describe('pitchClassOf', () => {
+  it('reads sharps and flats', () => {
+    expect(pitchClassOf('C#')).toBe(1);
+    expect(pitchClassOf('Db')).toBe(1);
+    expect(pitchClassOf('e')).toBe(4);
+    expect(pitchClassOf('H')).toBeNull();
+  });
+});
+
+describe('parseTuning', () => {
+  it('reads letter lists low string to high, spaced or run together', () => {
+    expect(parseTuning('D A D G B E')).toEqual([64, 59, 55, 50, 45, 38]);
+    expect(parseTuning('DADGAD')).toEqual([62, 57, 55, 50, 45, 38]);
+    expect(parseTuning('E A D G')).toEqual(STANDARD_TUNINGS[4]);
+  });
+
+  it('reads drop, shifted-standard and step-down names', () => {
+    expect(parseTuning('Drop D')).toEqual([64, 59, 55, 50, 45, 38]);
+    expect(parseTuning('Drop C')).toEqual([62, 57, 53, 48, 43, 36]);
+    expect(parseTuning('Eb standard')).toEqual([63, 58, 54, 49, 44, 39]);
+    expect(parseTuning('Half step down')).toEqual([63, 58, 54, 49, 44, 39]);
+    expect(parseTuning('Standard', 4)).toEqual(STANDARD_TUNINGS[4]);
+  });
+
+  it('puts strings tuned far down in the octave below, not the one above', () => {
+    expect(parseTuning('A E A D F# B')).toEqual([59, 54, 50, 45, 40, 33]);
+    expect(parseTuning('Drop A')).toEqual([59, 54, 50, 45, 40, 33]);
+    expect(parseTuning('A standard')).toEqual([57, 52, 48, 43, 38, 33]);
+    expect(parseTuning('E A E A C# E')).toEqual([64, 61, 57, 52, 45, 40]);
+  });
+
+  it('reads tunings in the octaves of the chosen instrument', () => {
+    expect(parseTuning('G C E A', 4, INSTRUMENTS.ukulele)).toEqual([69, 64, 60, 67]);
+    expect(parseTuning('Open G', 5, INSTRUMENTS.banjo)).toEqual([62, 59, 55, 50, 67]);
+    expect(parseTuning('Double C', 5, INSTRUMENTS.banjo)).toEqual([62, 60, 55, 48, 67]);
+    expect(parseTuning('Standard', 4, INSTRUMENTS.mandolin)).toEqual([76, 69, 62, 55]);
+    expect(tuningStringNames([69, 64, 60, 67], INSTRUMENTS.ukulele)).toMatchObject({
+      names: ['A', 'E', 'C', 'G'],
+      isStandard: true
+    });
+  });
+
+  it('rejects text that is not a tuning', () => {
+    expect(parseTuning('weird')).toBeNull();
+    expect(parseTuning('A B')).toBeNull();
+  });
+});
+
+describe('tuningStringNames', () => {
+  it('uses the standard names for standard tuning and qualifies repeats otherwise', () => {
+    expect(tuningStringNames(STANDARD_TUNINGS[6]).isStandard).toBe(true);
+    const dropD = tuningStringNames([64, 59, 55, 50, 45, 38]);
+    expect(dropD.isStandard).toBe(false);
+    expect(dropD.names).toEqual(['high E', 'B', 'G', 'D', 'A', 'low D']);
+  });
+});
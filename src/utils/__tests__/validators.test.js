@@ -3,6 +3,7 @@ import {
   detectTabFormat,
   isStringLine,
   isMusicContent,
+  isTechniqueLine,
   validateSettings,
   validateTabName
 } from '../validators.js';
@@ -40,6 +41,42 @@ describe('detectTabFormat', () => {
     );
   });
 
+  it('detects chord chart shorthand but not spaced tab lines', () => {
+    expect(detectTabFormat(fixtures.chordShorthandTest)).toBe(TAB_FORMATS.CHORD_CHART);
+    expect(detectTabFormat('B 1 0 1 3\nG 0 0 0 0\nD 2 2 2 0')).not.toBe(TAB_FORMATS.CHORD_CHART);
+    expect(detectTabFormat('C x 3 2 0 1 0\nG 3 2 0 0 0 3')).toBe(TAB_FORMATS.CHORD_CHART);
+    expect(detectTabFormat('C: x 3 2 0 1 0\nG: 3 2 0 0 0 3')).toBe(TAB_FORMATS.CHORD_CHART);
+  });
+
+  it('detects chord diagrams, as string lines or grids', () => {
+    expect(detectTabFormat(fixtures.chordDiagramTest)).toBe(TAB_FORMATS.CHORD_DIAGRAMS);
+    expect(detectTabFormat(fixtures.chordGridTest)).toBe(TAB_FORMATS.CHORD_DIAGRAMS);
+  });
+
+  it('does not mistake a short riff under a chord name for a diagram', () => {
+    const tab = ['Am', 'e|--0--1--|', 'B|--1--3--|', 'G|--2-----|', 'D|--2-----|'];
+    expect(detectTabFormat(tab.join('\n'))).toBe(TAB_FORMATS.LABELED_TAB);
+  });
+
+  it('detects chords-over-lyrics song sheets', () => {
+    expect(detectTabFormat(fixtures.songSheetTest)).toBe(TAB_FORMATS.SONG_SHEET);
+    expect(detectTabFormat('A\nday in the life')).toBeNull();
+  });
+
+  it('detects ChordPro by its directives or bracketed chords', () => {
+    expect(detectTabFormat(fixtures.chordProTest)).toBe(TAB_FORMATS.CHORDPRO);
+    expect(detectTabFormat('[G]Amazing [C]grace\nhow [G]sweet the sound')).toBe(TAB_FORMATS.CHORDPRO);
+    expect(detectTabFormat(fixtures.headingTest)).not.toBe(TAB_FORMATS.CHORDPRO);
+    expect(detectTabFormat('[Am]Intro riff\n[C]Then this\ne|-0-|\nB|-1-|')).toBe(
+      TAB_FORMATS.LABELED_TAB
+    );
+  });
+
+  it('reads a tab with chord names and lyrics as a tab, not a song sheet', () => {
+    expect(detectTabFormat(fixtures.chordNamesTest)).toBe(TAB_FORMATS.LABELED_TAB);
+    expect(detectTabFormat(fixtures.lyricLinesTest)).toBe(TAB_FORMATS.LABELED_TAB);
+  });
+
   it('does not mistake a pipe-free labeled tab for a chord chart', () => {
     const tab = [
       'E :---3---5---',
@@ -85,19 +122,51 @@ describe('isMusicContent', () => {
   it('rejects word content', () => {
     expect(isMusicContent('today I practiced')).toBe(false);
   });
+
+  it('accepts extra characters such as legend symbols', () => {
+    expect(isMusicContent('--5S--7S--')).toBe(false);
+    expect(isMusicContent('--5S--7S--', 'S')).toBe(true);
+  });
+});
+
+describe('isTechniqueLine', () => {
+  it('recognizes legend entries in both layouts', () => {
+    expect(isTechniqueLine('| h  Hammer-on')).toBe(true);
+    expect(isTechniqueLine('S = slap')).toBe(true);
+    expect(isTechniqueLine('PM = palm mute')).toBe(true);
+  });
+
+  it('leaves chord shapes and prose alone', () => {
+    expect(isTechniqueLine('C = x32010')).toBe(false);
+    expect(isTechniqueLine('Play this twice = fun')).toBe(false);
+    expect(isTechniqueLine('Key = G major')).toBe(false);
+  });
 });
 
 describe('validateSettings', () => {
-  it('defaults all settings to true', () => {
+  it('defaults the original settings to true and the newer ones to false', () => {
     expect(validateSettings({})).toEqual({
       includeTiming: true,
       verboseMode: true,
       useStringNames: true,
       includeTechniqueDetails: true,
-      includeDurations: true
+      includeDurations: true,
+      includeNoteNames: false,
+      estimateRhythm: false,
+      identifyChords: false,
+      collapseRepeats: false,
+      identifyRiffs: false,
+      instrument: 'guitar',
+      transpose: 0,
+      capo: -1
     });
   });
 
+  it('only copies transpose and capo values from their choices', () => {
+    expect(validateSettings({ transpose: -3, capo: 5 })).toMatchObject({ transpose: -3, capo: 5 });
+    expect(validateSettings({ transpose: 13, capo: '5' })).toMatchObject({ transpose: 0, capo: -1 });
+  });
+
   it('only copies booleans', () => {
     const result = validateSettings({ verboseMode: false, includeTiming: 'nope' });
     expect(result.verboseMode).toBe(false);
@@ -107,6 +176,16 @@ describe('validateSettings', () => {
   it('passes includeDurations through', () => {
     expect(validateSettings({ includeDurations: false }).includeDurations).toBe(false);
   });
+
+  it('only accepts listed instruments', () => {
+    expect(validateSettings({ instrument: 'banjo' }).instrument).toBe('banjo');
+    expect(validateSettings({ instrument: 'kazoo' }).instrument).toBe('guitar');
+    expect(validateSettings({ instrument: true }).instrument).toBe('guitar');
+  });
+
+  it('passes includeNoteNames through', () => {
+    expect(validateSettings({ includeNoteNames: true }).includeNoteNames).toBe(true);
+  });
 });
 
 describe('validateTabName', () => {
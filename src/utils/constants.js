@@ -37,6 +37,33 @@ export const TECHNIQUES = {
   '>': 'accent'
 };
 
+/**
+ * Legend meanings that stand for a built-in symbol, a mute, or a technique
+ * with Guitar Pro importer wording, tried in order (so "pinch harmonic" is
+ * not read as a plain harmonic, nor "palm mute" as a muted note). Any
+ * other meaning becomes a technique named after itself.
+ * @type {Array<[RegExp, Object]>}
+ */
+export const LEGEND_MEANINGS = [
+  [/hammer/i, { symbol: 'h' }],
+  [/pull/i, { symbol: 'p' }],
+  [/pre-?bend/i, { symbol: 'pb' }],
+  [/bend/i, { symbol: 'b' }],
+  [/release/i, { symbol: 'r' }],
+  [/slide\s*up/i, { symbol: '/' }],
+  [/slide\s*down/i, { symbol: '\\' }],
+  [/slide/i, { symbol: 's' }],
+  [/vibrato/i, { symbol: '~' }],
+  [/trill/i, { symbol: 'tr' }],
+  [/pinch/i, { symbol: 'PH' }],
+  [/harmonic/i, { type: 'harmonic' }],
+  [/palm/i, { type: 'palm mute', context: 'palm muted' }],
+  [/dead|mute/i, { mute: true }],
+  [/tap/i, { symbol: 't' }],
+  [/staccato/i, { symbol: '.' }],
+  [/accent/i, { symbol: '>' }]
+];
+
 /**
  * Local storage keys
  * @type {Object<string, string>}
@@ -62,23 +89,105 @@ export const FIREBASE_COLLECTIONS = {
  */
 export const TAB_FORMATS = {
   CHORD_CHART: 'chord_chart',
+  CHORD_DIAGRAMS: 'chord_diagrams',
   LABELED_TAB: 'labeled_tab',
-  STANDARD_TAB: 'standard_tab'
+  STANDARD_TAB: 'standard_tab',
+  SONG_SHEET: 'song_sheet',
+  CHORDPRO: 'chordpro'
+};
+
+/**
+ * ChordPro directive names and short forms, mapped to the name used for
+ * them when reading and writing ChordPro
+ * @type {Object<string, string>}
+ */
+export const CHORDPRO_DIRECTIVES = {
+  title: 'title',
+  t: 'title',
+  subtitle: 'subtitle',
+  st: 'subtitle',
+  artist: 'artist',
+  composer: 'composer',
+  album: 'album',
+  year: 'year',
+  key: 'key',
+  capo: 'capo',
+  tempo: 'tempo',
+  time: 'time',
+  duration: 'duration',
+  meta: 'meta',
+  comment: 'comment',
+  c: 'comment',
+  comment_italic: 'comment',
+  ci: 'comment',
+  comment_box: 'comment',
+  cb: 'comment',
+  highlight: 'comment',
+  start_of_chorus: 'start_of_chorus',
+  soc: 'start_of_chorus',
+  end_of_chorus: 'end_of_chorus',
+  eoc: 'end_of_chorus',
+  start_of_verse: 'start_of_verse',
+  sov: 'start_of_verse',
+  end_of_verse: 'end_of_verse',
+  eov: 'end_of_verse',
+  start_of_bridge: 'start_of_bridge',
+  sob: 'start_of_bridge',
+  end_of_bridge: 'end_of_bridge',
+  eob: 'end_of_bridge',
+  start_of_tab: 'start_of_tab',
+  sot: 'start_of_tab',
+  end_of_tab: 'end_of_tab',
+  eot: 'end_of_tab',
+  start_of_grid: 'start_of_grid',
+  sog: 'start_of_grid',
+  end_of_grid: 'end_of_grid',
+  eog: 'end_of_grid',
+  chorus: 'chorus',
+  define: 'define',
+  chord: 'define',
+  new_song: 'new_song',
+  ns: 'new_song'
 };
 
+/** A chord chart fret: 1-2 digits, X, or a high fret in brackets "(10)". */
+const CHART_FRET = String.raw`(?:\d{1,2}|[xX]|\(\d{1,2}\))`;
+
+/** A chord chart fingering: 4 to 8 of finger 1-4, T (thumb), 0 or X. */
+const CHART_FINGERING = String.raw`[0-4tTxX](?:[-\s]?[0-4tTxX]){3,7}`;
+
 /**
  * Regular expression patterns for tab parsing
  * @type {Object<string, RegExp>}
  */
 export const PATTERNS = {
-  // Chord definition like "F: 1-3-3-2-1-1" or "Am: X-0-2-2-1-0" —
-  // 6 to 8 dash-separated tokens of 1-2 digits or X, nothing else.
-  CHORD_LINE: /^([A-G][#b]?[\w*]*)\s*:\s*((?:\d{1,2}|[xX])(?:-(?:\d{1,2}|[xX])){5,7})\s*$/,
+  // Chord definition: a name, then 4 to 8 frets low string first, dashed
+  // ("F: 1-3-3-2-1-1", "D x-x-0-2-3-2"), one character a fret ("C x32010",
+  // "(10)" above the 9th) or spaced ("Am: X 0 2 2 1 0"). Without a colon
+  // spaced frets need six or more ("C x 3 2 0 1 0"), so a spaced tab line
+  // such as "B 1 0 1 3" is not a chord. An optional fingering follows a
+  // slash ("x32010 / 032010"). Groups: name, spaced frets, other frets,
+  // fingering.
+  CHORD_LINE: new RegExp(
+    String.raw`^([A-G][#b]?[\w*]*(?:\/[A-G][#b]?)?)` +
+      String.raw`(?:(?:\s*:\s*|\s+(?=(?:${CHART_FRET} +){5}))` +
+      String.raw`(${CHART_FRET}(?: +${CHART_FRET}){3,7})|(?:\s*:\s*|\s+)` +
+      String.raw`(${CHART_FRET}(?:-${CHART_FRET}){3,7}|(?:\d|[xX]|\(\d{1,2}\)){4,8}))` +
+      String.raw`(?:\s*\/\s*(${CHART_FINGERING}))?\s*$`
+  ),
+  // A ChordPro directive line: "{title: Hallelujah}", "{soc}", "{c Slowly}".
+  CHORDPRO_DIRECTIVE: /^\s*\{\s*([a-z_]+)(?:\s*:\s*|\s+)?(.*?)\s*\}\s*$/i,
+  // A chord name alone on its line, as above a chord diagram ("Am7", "G/B").
+  CHORD_NAME: /^[A-G][#b]?(?:maj|min|m|M|dim|aug|sus|add)?\d*(?:(?:sus|add|maj|b|#)\d+)*(?:\/[A-G][#b]?)?$/,
   // String label at the start of a tab line: any-case note letter with an
   // optional accidental, then ':' or '|' (at most two spaces in between).
   STRING_LABEL: /^\s*([A-Ga-g][#b]?)\s{0,2}([:|]{1,2})/,
   TECHNIQUE_LINE: /^[~/\\^vhp]\s+/,
-  LEGEND_LINE: /^\|?\s*[a-zA-Z]\s+(Bend|Hammer|Pull|Slide|Vibrato|Trill|Release|Tap|Harmonic)/i
+  LEGEND_LINE: /^\|?\s*[a-zA-Z]\s+(Bend|Hammer|Pull|Slide|Vibrato|Trill|Release|Tap|Harmonic)/i,
+  // "symbol = meaning" legend entry ("S = slap", "PM = palm mute"); the
+  // meaning is words only, so chord shapes like "C = x32010" stay out.
+  // Captures the symbol and the meaning.
+  LEGEND_ENTRY: /^\|?\s*([^\s\d|:=-]{1,3})\s*=\s*([a-z][a-z ()/'-]*)$/i
 };
 
 /**
@@ -106,15 +215,36 @@ export const NOTIFICATION_TYPES = {
 };
 
 /**
- * Default conversion settings
- * @type {Object<string, boolean>}
+ * Default conversion settings: checkboxes are booleans, selects strings or
+ * numbers from SETTING_CHOICES. A capo of -1 keeps the written one.
+ * @type {Object<string, boolean|string|number>}
  */
 export const DEFAULT_SETTINGS = {
   includeTiming: true,
   verboseMode: true,
   useStringNames: true,
   includeTechniqueDetails: true,
-  includeDurations: true
+  includeDurations: true,
+  includeNoteNames: false,
+  estimateRhythm: false,
+  identifyChords: false,
+  collapseRepeats: false,
+  identifyRiffs: false,
+  instrument: 'guitar',
+  transpose: 0,
+  capo: -1
+};
+
+/**
+ * Allowed values of the select settings (the keys of INSTRUMENTS in
+ * utils/music.js for the instrument, up to an octave either way for
+ * transposing, and capo frets up to the 12th)
+ * @type {Object<string, Array<string|number>>}
+ */
+export const SETTING_CHOICES = {
+  instrument: ['guitar', 'ukulele', 'banjo', 'mandolin', 'baritone'],
+  transpose: Array.from({ length: 25 }, (_, index) => index - 12),
+  capo: Array.from({ length: 14 }, (_, index) => index - 1)
 };
 
 /**
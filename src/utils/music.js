@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Pitch and tuning helpers shared by the ASCII tab parser and
+ * the Guitar Pro importer. Tunings are arrays of MIDI note numbers, highest
+ * string first, the order tab blocks are written in.
+ * @module utils/music
+ */
+
+import { TUNING_TEMPLATES } from './constants.js';
+
+/** Note names by pitch class (MIDI % 12), sharps for black keys. */
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/** Note names by pitch class for names first written with flats. */
+export const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Standard tunings as MIDI notes, highest string first: E4 B3 G3 D3 A2 E2
+ * for guitar, G2 D2 A1 E1 for bass.
+ * @type {Object<number, number[]>}
+ */
+export const STANDARD_TUNINGS = {
+  4: [43, 38, 33, 28],
+  5: [43, 38, 33, 28, 23],
+  6: [64, 59, 55, 50, 45, 40],
+  7: [64, 59, 55, 50, 45, 40, 35],
+  8: [64, 59, 55, 50, 45, 40, 35, 30]
+};
+
+/** Named six-string tunings, written low string to high. */
+const NAMED_TUNINGS = {
+  dadgad: 'D A D G A D',
+  'open d': 'D A D F# A D',
+  'open e': 'E B E G# B E',
+  'open g': 'D G D G B D',
+  'open a': 'E A E A C# E',
+  'open c': 'C G C G C E'
+};
+
+/**
+ * Instrument profiles a pasted tab can be read as: the usual string count,
+ * standard tunings (MIDI, highest string first) and string names by block
+ * size. Guitar covers bass too: 4- and 5-string blocks read as bass. The
+ * ukulele's G is re-entrant (above C), and the banjo's short 5th string
+ * starts at the 5th fret, so its frets count from there. Named tunings are
+ * letter lists written the way players of the instrument list them.
+ * @type {Object<string, {name: string, strings: number,
+ *   tunings: Object<number, number[]>, names: Object<number, string[]>,
+ *   namedTunings?: Object<string, string>,
+ *   drone?: {index: number, startFret: number}}>}
+ */
+export const INSTRUMENTS = {
+  guitar: {
+    name: 'Guitar',
+    strings: 6,
+    tunings: STANDARD_TUNINGS,
+    names: TUNING_TEMPLATES,
+    namedTunings: NAMED_TUNINGS
+  },
+  ukulele: {
+    name: 'Ukulele',
+    strings: 4,
+    tunings: { 4: [69, 64, 60, 67] },
+    names: { 4: ['A', 'E', 'C', 'G'] }
+  },
+  banjo: {
+    name: '5-string banjo',
+    strings: 5,
+    tunings: { 5: [62, 59, 55, 50, 67] },
+    names: { 5: ['D', 'B', 'G', 'low D', 'drone G'] },
+    namedTunings: { 'open g': 'g D G B D', 'double c': 'g C G C D' },
+    drone: { index: 4, startFret: 5 }
+  },
+  mandolin: {
+    name: 'Mandolin',
+    strings: 4,
+    tunings: { 4: [76, 69, 62, 55] },
+    names: { 4: ['E', 'A', 'D', 'G'] }
+  },
+  baritone: {
+    name: 'Baritone guitar',
+    strings: 6,
+    tunings: { 6: [59, 54, 50, 45, 40, 35] },
+    names: { 6: ['high B', 'F#', 'D', 'A', 'E', 'low B'] }
+  }
+};
+
+/**
+ * Standard tuning of an instrument for a block size, falling back to
+ * guitar and bass for sizes the instrument does not come in.
+ * @param {Object} instrument - Profile from INSTRUMENTS
+ * @param {number} count - Strings in the block
+ * @returns {number[]|undefined} MIDI values, highest string first
+ */
+export function instrumentTuning(instrument, count) {
+  return instrument.tunings[count] || STANDARD_TUNINGS[count];
+}
+
+/**
+ * Scientific pitch name of a MIDI note ("E4" for 64, middle C is C4).
+ * @param {number} midi - MIDI note number
+ * @param {boolean} [flats=false] - Spell black keys with flats ("Eb4")
+ * @returns {string} Pitch name
+ */
+export function pitchName(midi, flats = false) {
+  return `${(flats ? FLAT_NAMES : NOTE_NAMES)[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+/**
+ * Move each string of a tuning into the octave it sounds in next to its
+ * standard pitch (see soundingOctave()). File formats disagree on the
+ * written octave of a tuning (a GP5 file and an alphaTex tuning differ by
+ * an octave); strings are never tuned that far from standard.
+ * @param {number[]} tuning - MIDI values, index 0 = highest string
+ * @returns {number[]} Sounding MIDI values, or the tuning unchanged for
+ *   string counts without a standard
+ */
+export function soundingTuning(tuning) {
+  const standard = STANDARD_TUNINGS[tuning.length];
+  if (!standard) return [...tuning];
+  return tuning.map((midi, index) => soundingOctave(midi % 12, standard[index]));
+}
+
+/** Offsets from E standard for the common step-down names. */
+const STEP_DOWN = {
+  'half step down': -1,
+  'half-step down': -1,
+  'whole step down': -2,
+  'whole-step down': -2
+};
+
+/** Pitch classes of sharp and flat spellings, case-insensitive letter. */
+const LETTER_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Pitch class of a note name ("C#", "Db", "e") or null.
+ * @param {string} name - Note name
+ * @returns {number|null} Pitch class 0-11
+ */
+export function pitchClassOf(name) {
+  const match = /^([A-Ga-g])([#b]?)$/.exec(name.trim());
+  if (!match) return null;
+  const base = LETTER_CLASSES[match[1].toUpperCase()];
+  const shift = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+  return (base + shift + 12) % 12;
+}
+
+/** Most semitones a string is tuned above its standard pitch. */
+const MAX_RAISE = 2;
+
+/**
+ * Move a pitch class to the octave a string tuned from a reference MIDI
+ * note sounds in. Strings are tuned up by a step at most (open E, open A)
+ * and down by much more (drop A, B standard), so anything further up is
+ * read as tuned down.
+ * @param {number} pitchClass - Pitch class 0-11
+ * @param {number} reference - Standard MIDI note of the string
+ * @returns {number} MIDI note
+ */
+function soundingOctave(pitchClass, reference) {
+  let offset = (pitchClass - reference) % 12;
+  if (offset < 0) offset += 12;
+  return offset <= MAX_RAISE ? reference + offset : reference + offset - 12;
+}
+
+/**
+ * Parse a declared tuning ("D A D G B E", "DADGAD", "Drop C#",
+ * "Eb standard", "Half step down") for a block of the given size. Letter
+ * lists are read low string to high, as tab headers write them; each
+ * string lands in the octave it sounds in next to the instrument's
+ * standard pitch for that string.
+ * @param {string} text - Tuning text without the "Tuning:" label
+ * @param {number} [stringCount=6] - Strings the tuning is for; letter
+ *   lists set their own count
+ * @param {Object} [instrument=INSTRUMENTS.guitar] - Profile whose standard
+ *   tunings the text is read against
+ * @returns {number[]|null} MIDI notes, highest string first, or null when
+ *   the text is not a tuning
+ */
+export function parseTuning(text, stringCount = 6, instrument = INSTRUMENTS.guitar) {
+  const cleaned = text.trim().replace(/\s+tuning$/i, '').trim();
+  const key = cleaned.toLowerCase();
+  const standard = instrumentTuning(instrument, stringCount) || STANDARD_TUNINGS[6];
+
+  if (key === 'standard' || key === 'e standard' || key === 'standard (e a d g b e)') {
+    return [...standard];
+  }
+  if (key in STEP_DOWN) {
+    return standard.map(midi => midi + STEP_DOWN[key]);
+  }
+  const named = instrument.namedTunings || {};
+  if (key in named) {
+    return parseTuning(named[key], stringCount, instrument);
+  }
+
+  const shifted = /^([A-G][#b]?)\s+standard$/i.exec(cleaned);
+  if (shifted) {
+    const low = standard[standard.length - 1];
+    const shift = soundingOctave(pitchClassOf(shifted[1]), low) - low;
+    return standard.map(midi => midi + shift);
+  }
+
+  // Drop X: the low string is X, the rest sit a whole step above it as in
+  // drop D (D standard's upper strings for drop C, and so on).
+  const drop = /^drop\s+([A-G][#b]?)$/i.exec(cleaned);
+  if (drop) {
+    const low = standard[standard.length - 1];
+    const dropped = soundingOctave(pitchClassOf(drop[1]), low - 2);
+    const shift = dropped + 2 - low;
+    return standard.map((midi, index) => (index === standard.length - 1 ? dropped : midi + shift));
+  }
+
+  // A letter list, spaced or run together ("DADGBE", "D A D G B E", "C#-G#-...").
+  const letters = cleaned.match(/[A-G][#b]?|[a-g]#?/g);
+  if (!letters || letters.join('').length !== cleaned.replace(/[\s,-]/g, '').length) {
+    return null;
+  }
+  const reference = instrumentTuning(instrument, letters.length);
+  if (!reference) return null;
+  const lowToHigh = [...reference].reverse();
+  return letters
+    .map((letter, index) => soundingOctave(pitchClassOf(letter), lowToHigh[index]))
+    .reverse();
+}
+
+/**
+ * Display names for each string, highest first, following the same rules
+ * as the ASCII parser's stringName(): standard tunings use the
+ * instrument's names (TUNING_TEMPLATES for guitar and bass), duplicated
+ * letters get low/high qualifiers (drop D → "low D").
+ * @param {number[]} tuning - MIDI values, index 0 = highest string
+ * @param {Object} [instrument=INSTRUMENTS.guitar] - Profile whose standard
+ *   tuning and names apply
+ * @param {boolean} [flats=false] - Spell black keys with flats, as a
+ *   tuning declared "Eb standard" is
+ * @returns {{names: string[], letters: string[], isStandard: boolean}} Names
+ */
+export function tuningStringNames(tuning, instrument = INSTRUMENTS.guitar, flats = false) {
+  const count = tuning.length;
+  const classes = tuning.map(midi => midi % 12);
+  const letters = classes.map(pitchClass => (flats ? FLAT_NAMES : NOTE_NAMES)[pitchClass]);
+  const standard = instrumentTuning(instrument, count);
+  const standardNames = instrument.names[count] || TUNING_TEMPLATES[count];
+
+  // Compared by pitch class: alphaTab stores written octaves that vary by
+  // source format (a GP5 file and an alphaTex tuning differ by an octave).
+  if (standard && standardNames && classes.every((c, i) => c === standard[i] % 12)) {
+    return { names: standardNames, letters, isStandard: true };
+  }
+
+  const counts = {};
+  for (const letter of letters) {
+    counts[letter] = (counts[letter] || 0) + 1;
+  }
+
+  const names = letters.map((letter, index) => {
+    if (counts[letter] > 1) {
+      if (letters.lastIndexOf(letter) === index) return `low ${letter}`;
+      if (letters.indexOf(letter) === index && letter === 'E') return 'high E';
+      return letter;
+    }
+    if (letter === 'E') {
+      if (index === 0) return 'high E';
+      if (index === count - 1) return 'low E';
+    }
+    return letter;
+  });
+
+  return { names, letters, isStandard: false };
+}
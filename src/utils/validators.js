@@ -3,7 +3,14 @@
  * @module utils/validators
  */
 
-import { DEFAULT_SETTINGS, PATTERNS, TAB_FORMATS } from './constants.js';
+import {
+  CHORDPRO_DIRECTIVES,
+  DEFAULT_SETTINGS,
+  LEGEND_MEANINGS,
+  PATTERNS,
+  SETTING_CHOICES,
+  TAB_FORMATS
+} from './constants.js';
 
 /**
  * Characters that may appear in the musical body of a tab string line.
@@ -11,7 +18,7 @@ import { DEFAULT_SETTINGS, PATTERNS, TAB_FORMATS } from './constants.js';
  * ghost-note and harmonic brackets, and whitespace.
  * @type {RegExp}
  */
-const MUSIC_CHARS = /^[-|:0-9xXoO()<>hpbrstv~/\\^.=*\s]*$/;
+const MUSIC_CHARS = /^[-|:0-9xXoO()<>[\]hpbrstv~/\\^.=*½¼PH\s]*$/;
 
 /**
  * Validate if a string looks like a convertible tab
@@ -43,7 +50,7 @@ export function isChordChart(lines) {
 /**
  * Split a labeled tab line into its label and musical body.
  * @param {string} line - Line to split
- * @returns {{label: string, body: string, bodyStart: number}|null}
+ * @returns {{label: string, separator: string, body: string, bodyStart: number}|null}
  *   Label info, or null when the line has no string label
  */
 export function splitStringLabel(line) {
@@ -52,6 +59,7 @@ export function splitStringLabel(line) {
 
   return {
     label: match[1],
+    separator: match[2],
     body: line.slice(match[0].length),
     bodyStart: match[0].length
   };
@@ -61,10 +69,14 @@ export function splitStringLabel(line) {
  * Check whether text is plausible musical tab content:
  * only tab characters, mostly dashes/digits/bars, at least a few dashes.
  * @param {string} text - Candidate body text
+ * @param {string} [extraChars=''] - Further characters allowed, such as
+ *   the symbols a tab's own legend defines
  * @returns {boolean} True if the text looks like tab music
  */
-export function isMusicContent(text) {
-  if (!text || !MUSIC_CHARS.test(text)) return false;
+export function isMusicContent(text, extraChars = '') {
+  if (!text) return false;
+  const known = [...text].filter(char => !extraChars.includes(char)).join('');
+  if (!MUSIC_CHARS.test(known)) return false;
 
   const solid = text.replace(/\s/g, '');
   if (solid.length < 4) return false;
@@ -93,12 +105,153 @@ export function isStringLine(line) {
 }
 
 /**
- * Check if a line is a technique legend/key line (e.g. "| h  Hammer-on")
+ * Check if a line is a technique legend/key line (e.g. "| h  Hammer-on",
+ * "S = slap"). A "symbol = meaning" entry whose symbol is a word of two
+ * or more letters must mean a known technique, so header lines like
+ * "Key = G major" stay headings.
  * @param {string} line - Line to check
  * @returns {boolean} True if technique line
  */
 export function isTechniqueLine(line) {
-  return PATTERNS.TECHNIQUE_LINE.test(line) || PATTERNS.LEGEND_LINE.test(line);
+  if (PATTERNS.TECHNIQUE_LINE.test(line) || PATTERNS.LEGEND_LINE.test(line)) return true;
+  const entry = PATTERNS.LEGEND_ENTRY.exec(line);
+  if (!entry) return false;
+  const [, symbol, meaning] = entry;
+  return (
+    !/^[a-z]{2,}$/i.test(symbol) || LEGEND_MEANINGS.some(([pattern]) => pattern.test(meaning))
+  );
+}
+
+/**
+ * What part of a chord diagram a line could be: a short labeled string
+ * line with at most one fret ("e|---0---"), a row of open and muted
+ * markers above a grid ("x o   o"), or a grid row ("|-|-|-|-|-|",
+ * "| | |o| | |", "=====", optionally ending in a "5fr" position label).
+ * @param {string} line - Line to check
+ * @returns {'string'|'marker'|'grid'|null} Kind of diagram line, or null
+ */
+export function diagramLineKind(line) {
+  const text = line.trim();
+  if (!text) return null;
+
+  const labeled = splitStringLabel(line);
+  if (labeled) {
+    const { body } = labeled;
+    const frets = body.match(/\d+|[xXoO]/g) || [];
+    return /^[-|\s0-9xXoO]*$/.test(body) && body.includes('-') && frets.length <= 1
+      ? 'string'
+      : null;
+  }
+
+  if (/^[xXoO](?:\s+[xXoO])*$/.test(text)) return 'marker';
+  const row = text.replace(/\s+\d+\s*fr\.?$/i, '');
+  if (/^[=_-]{3,}$/.test(row)) return 'grid';
+  return /^[-|=+\s0-9oO*●•@xX]+$/.test(row) && (row.match(/\|/g) || []).length >= 3
+    ? 'grid'
+    : null;
+}
+
+/**
+ * Check if lines are a chord library: chord names alone on a line, each
+ * followed by a short diagram of labeled string lines or a fret grid.
+ * Prose may sit between diagrams, but a string line outside one (or with
+ * more than one fret on it) makes the text a tab instead.
+ * @param {string[]} lines - Non-blank lines to check
+ * @returns {boolean} True if chord diagram format
+ */
+export function isChordDiagrams(lines) {
+  let named = false;
+  let run = 0;
+  let diagrams = 0;
+
+  for (const line of lines) {
+    if (PATTERNS.CHORD_NAME.test(line.trim())) {
+      named = true;
+      run = 0;
+      continue;
+    }
+    if (!diagramLineKind(line)) {
+      if (isStringLine(line)) return false;
+      named = false;
+      continue;
+    }
+    if (!named) return false;
+    if (++run === 4) diagrams++;
+  }
+
+  return diagrams > 0;
+}
+
+/**
+ * Check whether a line names chords and nothing else, as above the lyrics
+ * of a song sheet ("C   G/B   Am", "| F  | N.C. |"). Unlike the tab
+ * parser's chord-name lines, one chord is enough.
+ * @param {string} line - Line to check
+ * @returns {boolean} True for a chord-names line
+ */
+export function isChordNamesLine(line) {
+  const tokens = line.trim().split(/\s+/).filter(token => !/^(?:\||\/|-+)$/.test(token));
+  return (
+    tokens.length > 0 &&
+    tokens.some(token => PATTERNS.CHORD_NAME.test(token)) &&
+    tokens.every(token => PATTERNS.CHORD_NAME.test(token) || token === 'N.C.')
+  );
+}
+
+/**
+ * Check if lines are a song sheet: chord names on one line and the words
+ * they are played over on the next. Needs two such pairs, or one whose
+ * chord line names several chords, so a stray "A" in prose is not a song.
+ * @param {string[]} lines - Non-blank lines to check
+ * @returns {boolean} True if song sheet format
+ */
+export function isSongSheet(lines) {
+  let pairs = 0;
+  let several = false;
+
+  lines.forEach((line, index) => {
+    const next = lines[index + 1];
+    if (!isChordNamesLine(line) || !next || isChordNamesLine(next) || !/[a-z]/i.test(next)) {
+      return;
+    }
+    pairs++;
+    several = several || line.trim().split(/\s+/).length > 1;
+  });
+
+  return pairs >= 2 || (pairs === 1 && several);
+}
+
+/**
+ * Check if lines are ChordPro: any known directive ("{title: ...}",
+ * "{soc}"), or two lines with chords in brackets among the words
+ * ("[C]I heard there [Am]was"). Bracketed section names ("[Verse]") and
+ * harmonics ("[12]") are not chords, so tabs do not match, and bracketed
+ * chords only count without string lines: "[Am]Intro riff here" above a
+ * tab is a note on the tab. Tabs inside {start_of_tab} still need a
+ * directive.
+ * @param {string[]} lines - Non-blank lines to check
+ * @returns {boolean} True if ChordPro format
+ */
+export function isChordPro(lines) {
+  let inline = 0;
+  let stringLines = 0;
+
+  for (const line of lines) {
+    const directive = PATTERNS.CHORDPRO_DIRECTIVE.exec(line);
+    if (directive && directive[1].toLowerCase() in CHORDPRO_DIRECTIVES) return true;
+    if (isStringLine(line)) stringLines++;
+
+    const chords = [...line.matchAll(/\[([^\]]+)\]/g)];
+    if (
+      chords.length > 0 &&
+      chords.every(match => PATTERNS.CHORD_NAME.test(match[1]) || match[1] === 'N.C.') &&
+      /[a-z]/i.test(line.replace(/\[[^\]]*\]/g, ''))
+    ) {
+      inline++;
+    }
+  }
+
+  return inline >= 2 && stringLines < 2;
 }
 
 /**
@@ -116,12 +269,24 @@ export function detectTabFormat(tabText) {
     return TAB_FORMATS.CHORD_CHART;
   }
 
+  if (isChordPro(lines)) {
+    return TAB_FORMATS.CHORDPRO;
+  }
+
+  if (isChordDiagrams(lines)) {
+    return TAB_FORMATS.CHORD_DIAGRAMS;
+  }
+
   const stringLines = lines.filter(line => isStringLine(line));
   if (stringLines.length >= 2) {
     const anyLabeled = stringLines.some(line => splitStringLabel(line));
     return anyLabeled ? TAB_FORMATS.LABELED_TAB : TAB_FORMATS.STANDARD_TAB;
   }
 
+  if (isSongSheet(lines)) {
+    return TAB_FORMATS.SONG_SHEET;
+  }
+
   return null;
 }
 
@@ -136,11 +301,13 @@ export function validateSettings(settings) {
   const validSettings = { ...DEFAULT_SETTINGS };
 
   if (settings && typeof settings === 'object') {
-    // Only copy boolean values
+    // Only copy values of the default's type, and listed choices for
+    // string settings
     Object.keys(validSettings).forEach(key => {
-      if (typeof settings[key] === 'boolean') {
-        validSettings[key] = settings[key];
-      }
+      const value = settings[key];
+      if (typeof value !== typeof DEFAULT_SETTINGS[key]) return;
+      if (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(value)) return;
+      validSettings[key] = value;
     });
   }
 
@@ -209,8 +376,9 @@ export function isValidChord(frets) {
     return false;
   }
 
-  // Accept 6, 7, or 8 string chords
-  if (frets.length < 6 || frets.length > 8) {
+  // Accept 4 to 8 string chords: ukulele, mandolin and bass charts as
+  // well as guitar
+  if (frets.length < 4 || frets.length > 8) {
     return false;
   }
 